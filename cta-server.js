@@ -4,8 +4,58 @@ dotenv.config();
 const express = require("express");
 const cors = require("cors");
 const { CTAManager } = require("./src/CTAManager");
+const { WebhookManager } = require("./src/WebhookManager");
+const {
+  COLLECTION_EVENT_TYPES,
+  EVENT_STREAM_HEARTBEAT_IN_SECONDS,
+  SUPPLY_HISTORY_BUCKETS,
+  SYNC_EVENT,
+} = require("./src/constants");
+const { filterSyncSummary } = require("./src/syncSummary");
+const { NotFoundError, ValidationError } = require("./src/errors");
+const {
+  asyncRoute,
+  notFound,
+  requireAdminToken,
+  errorHandler,
+} = require("./src/middlewares");
+const {
+  parseAddress,
+  parseBoolean,
+  parseCardId,
+  parseEnum,
+  parseInteger,
+  parseList,
+  parsePagination,
+  parseTimestamp,
+  parseUrl,
+} = require("./src/validation");
 
 const PORT = process.env.PORT || 3000;
+
+// Default time range (in days) of the supply history
+const DEFAULT_HISTORY_DAYS = 30;
+
+// Dimensions of the collection statistics groups
+const STATS_GROUP_KEYS = ["foil", "element", "rarity", "family", "advancement"];
+
+// Keys to sort the card collection
+const COLLECTION_SORT_KEYS = ["id", "name", "element", "rarity", "family"];
+
+// Leaderboards of the users
+const LEADERBOARDS = ["score", "foils", "mythics", "mintPasses"];
+
+// Maximum number of lowest numbered cards listed per foil flag
+const MAX_SERIALS = 100;
+
+// Maximum number of tokens retrieved at once
+const MAX_TOKENS = 200;
+
+// Maximum number of users compared at once
+const MAX_COMPARED_USERS = 10;
+
+// Keys to sort the list of users
+const USER_SORT_KEYS = ["cards", "foils", "mythics", "mintPasses"];
 const CTA_DATA_REFRESHING_PERIOD =
   (process.env.REFRESH_PERIOD_IN_MINUTES || 10) * 60 * 1000;
 
@@ -16,68 +66,570 @@ const corsOptions = {
 
 const app = express();
 app.use(cors(corsOptions));
+app.use(express.json());
 
 const ctaManager = new CTAManager();
 
+// deliver the collection events of the sync loop to the webhooks
+const webhookManager = new WebhookManager(ctaManager.repository);
+webhookManager.attach(ctaManager);
+
+/**
+ * Parse the time range of a history ('from' and 'to', the last days by default).
+ * @param query the request query.
+ * @returns the start and end timestamps.
+ */
+const parseHistoryRange = (query) => {
+  const to = parseTimestamp(query.to, "to") || new Date().toISOString();
+  const from =
+    parseTimestamp(query.from, "from") ||
+    new Date(
+      new Date(to).getTime() - DEFAULT_HISTORY_DAYS * SUPPLY_HISTORY_BUCKETS.day
+    ).toISOString();
+  if (from > to)
+    throw new ValidationError("from", "'from' must be before 'to'");
+
+  return { from, to };
+};
+
 /**
  * ENTRY POINTS
  */
 
 /**
  * Get the full CTA collection supply statistics.
+ * Query: separateFoil (true|false), groupBy (comma-separated dimensions among
+ * foil, element, rarity, family, advancement).
  */
-app.get("/stats", async (req, res) => {
-  const separateFoil = req.query?.separateFoil;
-  const stats = await ctaManager.getCollectionStats(separateFoil);
-  res.json(stats);
-});
+app.get(
+  "/stats",
+  asyncRoute(async (req, res) => {
+    const separateFoil = parseBoolean(req.query.separateFoil, "separateFoil");
+    const groupBy = [...new Set(parseList(req.query.groupBy) || [])].map(
+      (dimension) => parseEnum(dimension, "groupBy", STATS_GROUP_KEYS)
+    );
+
+    const stats = await ctaManager.getCollectionStats(separateFoil, groupBy);
+    res.json(stats);
+  })
+);
 
 /**
- * Get the list of CTA cards.
+ * Get the time series of the minted supply of a meta card or a rarity.
+ * Query: cardId or rarity, from and to (last 30 days by default), bucket (hour|day|week).
  */
-app.get("/collection", async (req, res) => {
-  const collection = await ctaManager.getCardCollection();
-  res.json(collection);
-});
+app.get(
+  "/stats/history",
+  asyncRoute(async (req, res) => {
+    const { cardId, rarity, bucket } = req.query;
+    if (cardId !== undefined && rarity !== undefined)
+      throw new ValidationError(
+        "rarity",
+        "'cardId' and 'rarity' can't be combined"
+      );
+
+    const { from, to } = parseHistoryRange(req.query);
+
+    const data = await ctaManager.getSupplyHistory({
+      cardId: cardId !== undefined ? parseCardId(cardId, "cardId") : undefined,
+      rarity: typeof rarity === "string" ? rarity.toUpperCase() : undefined,
+      from,
+      to,
+      bucket: parseEnum(
+        bucket,
+        "bucket",
+        Object.keys(SUPPLY_HISTORY_BUCKETS),
+        "day"
+      ),
+    });
+    res.json(data);
+  })
+);
+
+/**
+ * Get the time series of the mint pass redemptions (burns).
+ * Query: passType, from and to (last 30 days by default), bucket (hour|day|week).
+ */
+app.get(
+  "/stats/redemptions",
+  asyncRoute(async (req, res) => {
+    const { passType, bucket } = req.query;
+    const { from, to } = parseHistoryRange(req.query);
+
+    const data = await ctaManager.getRedemptionHistory({
+      passType: typeof passType === "string" ? passType : undefined,
+      from,
+      to,
+      bucket: parseEnum(
+        bucket,
+        "bucket",
+        Object.keys(SUPPLY_HISTORY_BUCKETS),
+        "day"
+      ),
+    });
+    res.json(data);
+  })
+);
+
+/**
+ * Get the list of CTA cards, with the facet values of the filters.
+ * Query: element, rarity, family, advancement, cardType (comma-separated values),
+ * q (text search), sort (id|name|element|rarity|family), order (asc|desc).
+ */
+app.get(
+  "/collection",
+  asyncRoute(async (req, res) => {
+    const { q, sort, order } = req.query;
+    const filters = {
+      element: parseList(req.query.element),
+      rarity: parseList(req.query.rarity),
+      family: parseList(req.query.family),
+      advancement: parseList(req.query.advancement),
+      cardType: parseList(req.query.cardType),
+      search: typeof q === "string" ? q.trim() : undefined,
+    };
+
+    const collection = await ctaManager.getCardCollection(
+      filters,
+      parseEnum(sort, "sort", COLLECTION_SORT_KEYS, "id"),
+      parseEnum(order, "order", ["asc", "desc"], "asc")
+    );
+    res.json(collection);
+  })
+);
 
 /**
  * Get statistics about a card.
  */
-app.get("/card", async (req, res) => {
-  const id = req?.query?.id;
-  if (!id) return res.send("error");
+app.get(
+  "/card",
+  asyncRoute(async (req, res) => {
+    const id = parseCardId(req.query.id);
 
-  const data = await ctaManager.getCardDetail(id);
-  res.json(data);
-});
+    const data = await ctaManager.getCardDetail(id);
+    if (!data.detail) throw new NotFoundError(`card ${id} not found`);
+    res.json(data);
+  })
+);
 
 /**
- * Get statistics about a user.
+ * Get the ownership history (mint, transfers, burn) of a card token.
  */
-app.get("/user", async (req, res) => {
-  const address = req.query.address;
-  if (!address) return res.send("error");
+app.get(
+  "/card/:id/history",
+  asyncRoute(async (req, res) => {
+    const data = await ctaManager.getCardHistory(parseCardId(req.params.id));
+    res.json(data);
+  })
+);
 
-  const data = await ctaManager.getUserCollection(address);
-  res.json(data);
-});
+/**
+ * Get the serial numbers held by several cards or mint passes (data integrity alert).
+ */
+app.get(
+  "/serials/duplicates",
+  asyncRoute(async (req, res) => {
+    const data = await ctaManager.getDuplicateSerials();
+    res.json(data);
+  })
+);
 
 /**
- * Get the list of users with their card count.
+ * Get the lowest numbered foil and non foil cards of a meta card.
+ * Query: n (number of cards per foil flag, 10 by default).
  */
-app.get("/users", async (req, res) => {
-  const data = await ctaManager.getUsers();
-  res.json(data);
+app.get(
+  "/serials/:cardId/lowest",
+  asyncRoute(async (req, res) => {
+    const { n } = req.query;
+    const data = await ctaManager.getLowestSerials(
+      parseCardId(req.params.cardId, "cardId"),
+      n !== undefined ? parseInteger(n, "n", { min: 1, max: MAX_SERIALS }) : 10
+    );
+    res.json(data);
+  })
+);
+
+/**
+ * Get the gaps of the serial numbers of a meta card.
+ * Query: foil (true|false), page, pageSize.
+ */
+app.get(
+  "/serials/:cardId/gaps",
+  asyncRoute(async (req, res) => {
+    const { pageIndex, pageSize } = parsePagination(req.query);
+    const data = await ctaManager.getSerialGaps(
+      parseCardId(req.params.cardId, "cardId"),
+      parseBoolean(req.query.foil, "foil"),
+      pageIndex,
+      pageSize
+    );
+    res.json(data);
+  })
+);
+
+/**
+ * Get the holders of a serial number of a meta card.
+ * Query: foil (true|false, foil and non foil cards by default).
+ */
+app.get(
+  "/serials/:cardId/:number",
+  asyncRoute(async (req, res) => {
+    const { foil } = req.query;
+    const cardId = parseCardId(req.params.cardId, "cardId");
+    const number = parseCardId(req.params.number, "number");
+
+    const data = await ctaManager.getSerialHolders(
+      cardId,
+      number,
+      foil !== undefined ? parseBoolean(foil, "foil") : undefined
+    );
+    if (data.length <= 0)
+      throw new NotFoundError(`serial ${number} of card ${cardId} not found`);
+    res.json(data);
+  })
+);
+
+/**
+ * Get the stored record of a token (card or mint pass).
+ */
+app.get(
+  "/token/:id",
+  asyncRoute(async (req, res) => {
+    const id = parseCardId(req.params.id);
+
+    const { tokens } = await ctaManager.getTokens([id]);
+    if (tokens.length <= 0) throw new NotFoundError(`token ${id} not found`);
+    res.json(tokens[0]);
+  })
+);
+
+/**
+ * Get the stored records of a list of tokens (cards or mint passes).
+ * Body: { ids: [token ids] } (up to MAX_TOKENS ids).
+ */
+app.post(
+  "/tokens",
+  asyncRoute(async (req, res) => {
+    const ids = req.body?.ids;
+    if (!Array.isArray(ids) || ids.length < 1 || ids.length > MAX_TOKENS)
+      throw new ValidationError(
+        "ids",
+        `'ids' must be an array of 1 to ${MAX_TOKENS} token ids`
+      );
+
+    const data = await ctaManager.getTokens([
+      ...new Set(ids.map((id) => parseCardId(id, "ids"))),
+    ]);
+    res.json(data);
+  })
+);
+
+/**
+ * Get statistics about a user, with the list of the user cards.
+ * Query: expand (join the meta card data), groupBy (card), element, rarity,
+ * family, advancement, cardType (comma-separated values), q (text search),
+ * foil (true|false), page and pageSize (all the cards by default).
+ */
+app.get(
+  "/user",
+  asyncRoute(async (req, res) => {
+    const address = parseAddress(req.query.address);
+    const { q, foil, page, pageSize } = req.query;
+    const filters = {
+      element: parseList(req.query.element),
+      rarity: parseList(req.query.rarity),
+      family: parseList(req.query.family),
+      advancement: parseList(req.query.advancement),
+      cardType: parseList(req.query.cardType),
+      search: typeof q === "string" ? q.trim() : undefined,
+      foil: foil !== undefined ? parseBoolean(foil, "foil") : undefined,
+    };
+
+    const data = await ctaManager.getUserCollection(address, {
+      filters,
+      expand: parseBoolean(req.query.expand, "expand"),
+      groupByCard: parseEnum(req.query.groupBy, "groupBy", ["card"]) === "card",
+      ...(page !== undefined || pageSize !== undefined
+        ? parsePagination(req.query)
+        : {}),
+    });
+    res.json(data);
+  })
+);
+
+/**
+ * Get the card transfers of a user, optionally over a time range.
+ */
+app.get(
+  "/user/:address/transfers",
+  asyncRoute(async (req, res) => {
+    const data = await ctaManager.getUserTransfers(
+      parseAddress(req.params.address),
+      parseTimestamp(req.query.from, "from"),
+      parseTimestamp(req.query.to, "to")
+    );
+    res.json(data);
+  })
+);
+
+/**
+ * Get the collection completion of a user (per family, element, rarity and
+ * advancement), with the list of missing meta cards.
+ */
+app.get(
+  "/user/:address/completion",
+  asyncRoute(async (req, res) => {
+    const data = await ctaManager.getUserCompletion(
+      parseAddress(req.params.address)
+    );
+    res.json(data);
+  })
+);
+
+/**
+ * Get the portfolio history of a user (daily gains and losses, first
+ * acquisition dates and list of events), optionally over a time range.
+ */
+app.get(
+  "/user/:address/history",
+  asyncRoute(async (req, res) => {
+    const data = await ctaManager.getUserHistory(
+      parseAddress(req.params.address),
+      parseTimestamp(req.query.from, "from"),
+      parseTimestamp(req.query.to, "to")
+    );
+    res.json(data);
+  })
+);
+
+/**
+ * Get a page of the list of users with their asset counts.
+ * Query: page, pageSize, sort (cards|foils|mythics|mintPasses), order (asc|desc),
+ * minCards (minimum number of cards), ownsCard (meta card id held).
+ */
+app.get(
+  "/users",
+  asyncRoute(async (req, res) => {
+    const { pageIndex, pageSize } = parsePagination(req.query);
+    const { sort, order, minCards, ownsCard } = req.query;
+
+    const data = await ctaManager.getUsers({
+      pageIndex,
+      pageSize,
+      sort: parseEnum(sort, "sort", USER_SORT_KEYS, "cards"),
+      order: parseEnum(order, "order", ["asc", "desc"], "desc"),
+      minCards:
+        minCards !== undefined ? parseInteger(minCards, "minCards") : undefined,
+      ownsCard:
+        ownsCard !== undefined ? parseCardId(ownsCard, "ownsCard") : undefined,
+    });
+    res.json(data);
+  })
+);
+
+/**
+ * Compare the collections of several users.
+ * Query: addresses (comma-separated list of 2 to MAX_COMPARED_USERS addresses).
+ */
+app.get(
+  "/users/compare",
+  asyncRoute(async (req, res) => {
+    const addresses = [
+      ...new Set(
+        (parseList(req.query.addresses) || []).map((address) =>
+          parseAddress(address, "addresses")
+        )
+      ),
+    ];
+    if (addresses.length < 2 || addresses.length > MAX_COMPARED_USERS)
+      throw new ValidationError(
+        "addresses",
+        `'addresses' must contain between 2 and ${MAX_COMPARED_USERS} distinct addresses`
+      );
+
+    const data = await ctaManager.compareUsers(addresses);
+    res.json(data);
+  })
+);
+
+/**
+ * Get a page of a leaderboard of the users, computed after each update.
+ * Query: page, pageSize.
+ */
+app.get(
+  "/leaderboards/:board",
+  asyncRoute(async (req, res) => {
+    const { pageIndex, pageSize } = parsePagination(req.query);
+    const board = req.params.board;
+    if (!LEADERBOARDS.includes(board))
+      throw new NotFoundError(`leaderboard '${board}' not found`);
+
+    const data = await ctaManager.getLeaderboard(board, pageIndex, pageSize);
+    res.json(data);
+  })
+);
+
+/**
+ * Stream the summary of each synced page as server-sent 'sync' events.
+ * Query: cardId and address (optional comma-separated topics, a summary is
+ * sent only if it concerns one of them).
+ */
+app.get("/events", (req, res, next) => {
+  let topics;
+  try {
+    topics = {
+      cardIds: (parseList(req.query.cardId) || []).map((id) =>
+        parseCardId(id, "cardId")
+      ),
+      addresses: (parseList(req.query.address) || []).map((address) =>
+        parseAddress(address)
+      ),
+    };
+  } catch (error) {
+    return next(error);
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const onSync = (summary) => {
+    const data = filterSyncSummary(summary, topics);
+    if (data)
+      res.write(`event: ${SYNC_EVENT}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  ctaManager.on(SYNC_EVENT, onSync);
+
+  // comment lines keep the connection open through proxies
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    EVENT_STREAM_HEARTBEAT_IN_SECONDS * 1000
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    ctaManager.off(SYNC_EVENT, onSync);
+  });
 });
 
+/**
+ * Get the effective supply of a meta card, with the rule of the supply table
+ * it comes from. Requires the ADMIN_TOKEN in the 'X-Admin-Token' header.
+ */
+app.get(
+  "/admin/supply/:id",
+  requireAdminToken(),
+  asyncRoute(async (req, res) => {
+    const id = parseCardId(req.params.id);
+
+    const data = await ctaManager.getCardSupply(id);
+    if (!data) throw new NotFoundError(`card ${id} not found`);
+    res.json(data);
+  })
+);
+
+/**
+ * Register a webhook notified of the collection events. Requires the ADMIN_TOKEN.
+ * Body: url, events, cardIds and addresses (optional filters), secret (random if missing).
+ */
+app.post(
+  "/admin/webhooks",
+  requireAdminToken(),
+  asyncRoute(async (req, res) => {
+    const { url, events, cardIds, addresses, secret } = req.body || {};
+    if (secret !== undefined && (typeof secret !== "string" || !secret))
+      throw new ValidationError(
+        "secret",
+        "'secret' must be a non-empty string"
+      );
+
+    const filters = {
+      events: (parseList(events) || []).map((event) =>
+        parseEnum(event, "events", Object.values(COLLECTION_EVENT_TYPES))
+      ),
+      cardIds: (parseList(cardIds) || []).map((id) =>
+        parseCardId(id, "cardIds")
+      ),
+      addresses: (parseList(addresses) || []).map((address) =>
+        parseAddress(address, "addresses")
+      ),
+    };
+
+    const data = await webhookManager.register({
+      url: parseUrl(url),
+      filters,
+      secret,
+    });
+    res.status(201).json(data);
+  })
+);
+
+/**
+ * Get the registered webhooks. Requires the ADMIN_TOKEN.
+ */
+app.get(
+  "/admin/webhooks",
+  requireAdminToken(),
+  asyncRoute(async (req, res) => {
+    const data = await webhookManager.list();
+    res.json(data);
+  })
+);
+
+/**
+ * Unregister a webhook. Requires the ADMIN_TOKEN.
+ */
+app.delete(
+  "/admin/webhooks/:id",
+  requireAdminToken(),
+  asyncRoute(async (req, res) => {
+    const id = parseCardId(req.params.id);
+
+    if (!(await webhookManager.remove(id)))
+      throw new NotFoundError(`webhook ${id} not found`);
+    res.status(204).end();
+  })
+);
+
+/**
+ * Get a page of the delivery log of a webhook, from the newest delivery.
+ * Requires the ADMIN_TOKEN. Query: page, pageSize.
+ */
+app.get(
+  "/admin/webhooks/:id/deliveries",
+  requireAdminToken(),
+  asyncRoute(async (req, res) => {
+    const id = parseCardId(req.params.id);
+    const { pageIndex, pageSize } = parsePagination(req.query);
+
+    const data = await webhookManager.getDeliveries(id, pageIndex, pageSize);
+    if (!data) throw new NotFoundError(`webhook ${id} not found`);
+    res.json(data);
+  })
+);
+
 // Default response for any other request
-app.use((req, res) => res.status(404));
+app.use(notFound);
+
+// JSON error responses ({ error: { status, code, message, details } })
+app.use(errorHandler);
 
 /**
  * CTA Init & Update
  */
 setImmediate(async () => {
-  await ctaManager.initialize();
+  try {
+    await ctaManager.initialize();
+  } catch (error) {
+    // e.g the database schema is ahead of the code
+    console.error(`initialization FAILED: ${error.message}`);
+    process.exit(1);
+  }
+  ctaManager.watchSupplyTable();
   await ctaManager.update();
 });
 
@@ -0,0 +1,51 @@
+const dotenv = require("dotenv");
+dotenv.config();
+
+const { DatabaseService } = require("./src/DatabaseService");
+const { Migrator } = require("./src/Migrator");
+
+const USAGE = "usage: npm run migrate -- <up|down|status> [version]";
+
+/**
+ * Migrate the database schema.
+ *   up [version]: apply the pending migrations (up to the latest one by default).
+ *   down [version]: revert the applied migrations (only the last one by default).
+ *   status: show the current version and the pending migrations.
+ */
+const migrate = async (command, version) => {
+  const dbService = new DatabaseService();
+  const migrator = new Migrator(dbService);
+  const target = version !== undefined ? parseInt(version) : undefined;
+
+  try {
+    switch (command) {
+      case "up":
+        await migrator.checkVersion();
+        console.log(`schema version: ${await migrator.up(target)}`);
+        break;
+      case "down":
+        console.log(`schema version: ${await migrator.down(target)}`);
+        break;
+      case "status":
+        console.log(await migrator.getStatus());
+        break;
+      default:
+        console.log(USAGE);
+        process.exitCode = 1;
+    }
+  } finally {
+    await dbService.finalize();
+  }
+};
+
+const [command = "status", version] = process.argv.slice(2);
+
+if (version !== undefined && isNaN(parseInt(version))) {
+  console.log(USAGE);
+  process.exit(1);
+}
+
+migrate(command, version).catch((error) => {
+  console.error(`migration FAILED: ${error.message}`);
+  process.exit(1);
+});
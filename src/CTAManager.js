@@ -1,17 +1,38 @@
 const { ImmutableX, Config } = require("@imtbl/core-sdk");
+const EventEmitter = require("events");
 const fs = require("fs");
 const debug = require("debug")("cta");
 
 const { Repository } = require("./Repository");
+const { loadScoringWeights, getCardScore } = require("./scoring");
+const { getSyncSummary } = require("./syncSummary");
+const { ConnectionError, ConstraintError } = require("./errors");
+const { sleep } = require("./utils");
 
 const {
   CTA_COLLECTION_ADDRESS,
   CTA_PAGE_SIZE,
   ASSETS_SOURCE,
+  COLLECTION_EVENT_TYPES,
+  LEADERBOARD_SIZE,
   MAX_ASSETS_PER_UPDATE,
-  getSupplyPercent,
-  getSupply,
+  OWNERSHIP_EVENT_TYPES,
+  SUPPLY_HISTORY_BUCKETS,
+  SUPPLY_SNAPSHOT_PERIOD_IN_MINUTES,
+  SUPPLY_THRESHOLDS,
+  SYNC_EVENT,
+  SYNC_OVERLAP_IN_SECONDS,
+  SYNC_MAX_RETRIES,
+  SYNC_RETRY_DELAY_IN_MS,
+  percent,
 } = require("./constants");
+const {
+  getSupply,
+  getSupplyPercent,
+  getSupplyRule,
+  loadSupplyTable,
+  watchSupplyTable,
+} = require("./supply");
 
 /**
  * Get the mint pass type from the metadata image filename
@@ -34,12 +55,504 @@ const getMetaCardId = (asset) => {
 };
 
 /**
- * Main manager of CTA assets got from the IMX blockchain
+ * Get the card and its meta card from an asset.
+ * @param asset the card asset retrieved from IMX.
+ * @returns the meta card and the card (without owner).
+ */
+const getCard = (asset) => {
+  const {
+    name,
+    description,
+    rarity,
+    set: family,
+    element,
+    power,
+    foil,
+    rank,
+    grade,
+    potential,
+    numbering,
+    image: imageUrl,
+    advancement,
+    cardType,
+    animationLevel,
+  } = asset.metadata;
+  const metaCardId = getMetaCardId(asset);
+
+  return {
+    metaCard: {
+      id: metaCardId,
+      name,
+      description,
+      imageUrl,
+      element,
+      rarity,
+      family,
+      advancement,
+      cardType,
+    },
+    card: {
+      id: parseInt(asset.token_id),
+      card_meta_id: metaCardId,
+      status: asset.status,
+      foil,
+      rank,
+      grade,
+      power,
+      potential,
+      numbering,
+      animationLevel,
+      metadata: asset.metadata,
+      created_at: asset.created_at,
+      updated_at: asset.updated_at,
+    },
+  };
+};
+
+/**
+ * Get the statistics of a group of cards, with the supply of its meta cards.
+ * @param group the minted and burned card counts of the group ({ ...dimensions,
+ * count, foil_count, burned_count, burned_foil_count }).
+ * @param groupBy the dimensions of the group.
+ * @param metaCards the meta cards of the collection (meta card id => meta card).
+ * @param supplyTable the card supply table.
+ * @returns the group statistics.
+ */
+const getGroupStats = (group, groupBy, metaCards, supplyTable) => {
+  const dimensions = groupBy.filter((d) => d !== "foil");
+
+  let supply = null;
+  metaCards.forEach((card) => {
+    if (dimensions.some((d) => card[d] !== group[d])) return;
+
+    const cardSupply = getSupply(card, supplyTable);
+    if (!cardSupply) return;
+
+    supply = supply || { foil: 0, non_foil: 0 };
+    supply.foil += cardSupply.foil;
+    supply.non_foil += cardSupply.non_foil;
+  });
+
+  const stats = {
+    ...Object.fromEntries(
+      groupBy.map((d) => [d, d === "foil" ? Boolean(group.foil) : group[d]])
+    ),
+    total_count: group.count,
+    total_count_non_foil: group.count - group.foil_count,
+    total_count_foil: group.foil_count,
+    burned_count: group.burned_count,
+    burned_count_non_foil: group.burned_count - group.burned_foil_count,
+    burned_count_foil: group.burned_foil_count,
+    supply,
+  };
+  stats.circulating_count = stats.total_count - stats.burned_count;
+  stats.circulating_count_non_foil =
+    stats.total_count_non_foil - stats.burned_count_non_foil;
+  stats.circulating_count_foil =
+    stats.total_count_foil - stats.burned_count_foil;
+  stats.supply_percent = supply && {
+    foil: percent(stats.total_count_foil / supply.foil),
+    non_foil: percent(stats.total_count_non_foil / supply.non_foil),
+  };
+
+  return stats;
+};
+
+/**
+ * Add the minted, burned and circulating card counts of a foil and rank/grade
+ * to the statistics of a meta card.
+ * @param values the meta card statistics.
+ * @param foil the foil flag of the cards.
+ * @param count the number of minted cards.
+ * @param burnedCount the number of burned cards.
+ */
+const addCardCounts = (values, foil, count, burnedCount) => {
+  const suffix = foil ? "foil" : "non_foil";
+
+  values.total_count += count;
+  values[`total_count_${suffix}`] += count;
+  values.burned_count += burnedCount;
+  values[`burned_count_${suffix}`] += burnedCount;
+  values.circulating_count += count - burnedCount;
+  values[`circulating_count_${suffix}`] += count - burnedCount;
+};
+
+/**
+ * Group the cards of a user by meta card.
+ * @param rows the card counts per meta card, foil and rank/grade.
+ * @returns the list of meta cards with their card counts.
+ */
+const getUserCardGroups = (rows) => {
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    const standard = row.advancement === "STANDARD";
+    const group = groups.get(row.card_meta_id) || {
+      card_meta_id: row.card_meta_id,
+      name: row.name,
+      image_url: row.image_url,
+      advancement: row.advancement,
+      card_type: row.card_type,
+      element: row.element,
+      rarity: row.rarity,
+      family: row.family,
+      total_count: 0,
+      total_count_non_foil: 0,
+      total_count_foil: 0,
+      ...(standard
+        ? {
+            ranks: {
+              standard: { r1: 0, r2: 0, r3: 0, r4: 0, r5: 0 },
+              foil: { r1: 0, r2: 0, r3: 0, r4: 0, r5: 0 },
+            },
+          }
+        : {
+            grades: {
+              standard: { C: 0, B: 0, A: 0, S: 0 },
+              foil: { C: 0, B: 0, A: 0, S: 0 },
+            },
+          }),
+    };
+
+    const foil = row.foil ? "foil" : "standard";
+    if (standard) {
+      group.ranks[foil][`r${row.rank}`] += row.count;
+    } else {
+      group.grades[foil][row.grade] += row.count;
+    }
+    group.total_count += row.count;
+    group.total_count_non_foil += row.foil ? 0 : row.count;
+    group.total_count_foil += row.foil ? row.count : 0;
+
+    groups.set(row.card_meta_id, group);
+  });
+
+  return Array.from(groups.values());
+};
+
+/**
+ * Compute the completion of a list of meta cards.
+ * @param metaCards the meta cards with the user card counts.
+ * @returns the number of distinct meta cards owned (any copy and foil copy) vs total.
+ */
+const getCompletion = (metaCards) => {
+  const total = metaCards.length;
+  const owned = metaCards.filter((m) => m.count > 0).length;
+  const ownedFoil = metaCards.filter((m) => m.foil_count > 0).length;
+
+  return {
+    owned,
+    owned_foil: ownedFoil,
+    total,
+    percent: total > 0 ? percent(owned / total) : 0,
+    percent_foil: total > 0 ? percent(ownedFoil / total) : 0,
+  };
+};
+
+/**
+ * Compute the completion of the meta cards grouped by a dimension.
+ * @param metaCards the meta cards with the user card counts.
+ * @param dimension the meta card property used to group them.
+ * @returns the completion by dimension value.
+ */
+const getCompletionBy = (metaCards, dimension) => {
+  const groups = new Map();
+  metaCards.forEach((m) => {
+    groups.set(m[dimension], [...(groups.get(m[dimension]) || []), m]);
+  });
+
+  return Object.fromEntries(
+    Array.from(groups.entries()).map(([value, cards]) => [
+      value,
+      getCompletion(cards),
+    ])
+  );
+};
+
+/**
+ * Get the lifecycle events (mint, transfer, burn) of a token of an assets page.
+ * A token burned before it was ever stored is minted and burned in the page,
+ * to an unknown owner.
+ * @param asset the token asset retrieved from IMX.
+ * @param previous the token owner stored before applying the page (address,
+ * burned_at), if any.
+ * @returns the list of events ({ type, timestamp, from, to }).
+ */
+const getTokenEvents = (asset, previous) => {
+  const mint = {
+    type: OWNERSHIP_EVENT_TYPES.MINT,
+    timestamp: asset.created_at,
+    to: asset.user,
+  };
+
+  if (asset.status === "burned") {
+    if (previous?.burned_at) return [];
+
+    const burn = {
+      type: OWNERSHIP_EVENT_TYPES.BURN,
+      timestamp: asset.updated_at,
+      from: previous?.address,
+    };
+    return previous ? [burn] : [{ ...mint, to: undefined }, burn];
+  }
+
+  if (!previous) return [mint];
+  if (previous.address !== asset.user) {
+    return [
+      {
+        type: OWNERSHIP_EVENT_TYPES.TRANSFER,
+        timestamp: asset.updated_at,
+        from: previous.address,
+        to: asset.user,
+      },
+    ];
+  }
+  return [];
+};
+
+/**
+ * Get the ownership events (mint, transfer, burn) of the cards of an assets page.
+ * @param assets the assets retrieved from IMX.
+ * @param previousOwners the card owners stored before applying the page (card id => owner).
+ * @returns the list of ownership events.
+ */
+const getOwnershipEvents = (assets, previousOwners) => {
+  const cardIds = new Set();
+  const events = [];
+
+  assets
+    .filter((a) => a.metadata.tokenType === "CARD")
+    .forEach((asset) => {
+      const cardId = parseInt(asset.token_id);
+      if (cardIds.has(cardId)) return;
+      cardIds.add(cardId);
+
+      const previous = previousOwners.get(cardId);
+      const cardMetaId = previous?.card_meta_id || getMetaCardId(asset);
+      getTokenEvents(asset, previous).forEach((event) =>
+        events.push({ cardId, cardMetaId, ...event })
+      );
+    });
+
+  return events;
+};
+
+/**
+ * Get the lifecycle events (mint, transfer, burn) of the mint passes of an assets page.
+ * @param assets the assets retrieved from IMX.
+ * @param previousOwners the mint pass owners stored before applying the page
+ * (mint pass id => owner).
+ * @returns the list of mint pass events.
+ */
+const getMintPassEvents = (assets, previousOwners) => {
+  const passIds = new Set();
+  const events = [];
+
+  assets
+    .filter((a) => a.metadata.tokenType === "MINT_PASS")
+    .forEach((asset) => {
+      const passId = parseInt(asset.token_id);
+      if (passIds.has(passId)) return;
+      passIds.add(passId);
+
+      const passType = getMintPassType(asset);
+      getTokenEvents(asset, previousOwners.get(passId)).forEach((event) =>
+        events.push({ passId, passType, ...event })
+      );
+    });
+
+  return events;
+};
+
+/**
+ * Get the collection events of an assets page: new meta cards, mints of foil
+ * or mythic cards, burns and transfers of cards and mint passes.
+ * @param timestamp the timestamp of the update (for the new meta cards).
+ * @param metaCards the meta cards of the page (meta card id => meta card).
+ * @param storedMetaCardIds the ids of the meta cards stored before applying the page.
+ * @param cards the cards of the page (token id => card).
+ * @param ownershipEvents the ownership events of the cards of the page.
+ * @param mintPassEvents the lifecycle events of the mint passes of the page.
+ * @returns the list of collection events.
+ */
+const getCollectionEvents = ({
+  timestamp,
+  metaCards,
+  storedMetaCardIds,
+  cards,
+  ownershipEvents,
+  mintPassEvents,
+}) => {
+  const events = [];
+
+  metaCards.forEach((m) => {
+    if (storedMetaCardIds.has(parseInt(m.id))) return;
+
+    events.push({
+      type: COLLECTION_EVENT_TYPES.NEW_META_CARD,
+      timestamp,
+      card_meta_id: parseInt(m.id),
+      card_name: m.name,
+      element: m.element,
+      rarity: m.rarity,
+      family: m.family,
+      advancement: m.advancement,
+      card_type: m.cardType,
+    });
+  });
+
+  ownershipEvents.forEach((e) => {
+    const metaCard = metaCards.get(String(e.cardMetaId));
+    const event = {
+      timestamp: e.timestamp,
+      token_type: "CARD",
+      token_id: e.cardId,
+      card_meta_id: parseInt(e.cardMetaId),
+      card_name: metaCard?.name,
+      rarity: metaCard?.rarity,
+      from: e.from,
+      to: e.to,
+    };
+
+    if (e.type === OWNERSHIP_EVENT_TYPES.MINT) {
+      const card = cards.get(String(e.cardId));
+      if (card?.foil || metaCard?.rarity === "MYTHIC") {
+        events.push({
+          type: COLLECTION_EVENT_TYPES.MINT,
+          ...event,
+          foil: Boolean(card?.foil),
+          numbering: card?.numbering,
+        });
+      }
+    } else if (e.type === OWNERSHIP_EVENT_TYPES.BURN) {
+      events.push({ type: COLLECTION_EVENT_TYPES.BURN, ...event });
+    } else if (e.type === OWNERSHIP_EVENT_TYPES.TRANSFER) {
+      events.push({ type: COLLECTION_EVENT_TYPES.TRANSFER, ...event });
+    }
+  });
+
+  mintPassEvents
+    .filter((e) => e.type !== OWNERSHIP_EVENT_TYPES.MINT)
+    .forEach((e) =>
+      events.push({
+        type:
+          e.type === OWNERSHIP_EVENT_TYPES.BURN
+            ? COLLECTION_EVENT_TYPES.BURN
+            : COLLECTION_EVENT_TYPES.TRANSFER,
+        timestamp: e.timestamp,
+        token_type: "MINT_PASS",
+        token_id: e.passId,
+        pass_type: e.passType,
+        from: e.from,
+        to: e.to,
+      })
+    );
+
+  return events;
+};
+
+/**
+ * Get the supply thresholds (SUPPLY_THRESHOLDS) crossed by the minted
+ * supply of the meta cards of an assets page.
+ * @param timestamp the timestamp of the update.
+ * @param metaCards the meta cards of the page (meta card id => meta card).
+ * @param countsBefore the minted card counts before applying the page.
+ * @param countsAfter the minted card counts after applying the page.
+ * @param supplyTable the card supply table.
+ * @returns the list of supply threshold events.
+ */
+const getSupplyThresholdEvents = ({
+  timestamp,
+  metaCards,
+  countsBefore,
+  countsAfter,
+  supplyTable,
+}) => {
+  const getKey = (c) => `${c.card_meta_id}-${Boolean(c.foil)}`;
+  const before = new Map(countsBefore.map((c) => [getKey(c), c.count]));
+
+  const events = [];
+  countsAfter.forEach((c) => {
+    const metaCard = metaCards.get(String(c.card_meta_id));
+    const supply =
+      metaCard &&
+      getSupply(
+        { ...metaCard, id: c.card_meta_id, card_name: metaCard.name },
+        supplyTable
+      );
+    if (!supply) return;
+
+    const total = c.foil ? supply.foil : supply.non_foil;
+    const percentBefore = ((before.get(getKey(c)) || 0) / total) * 100;
+    const percentAfter = (c.count / total) * 100;
+
+    SUPPLY_THRESHOLDS.filter(
+      (threshold) => percentBefore < threshold && percentAfter >= threshold
+    ).forEach((threshold) =>
+      events.push({
+        type: COLLECTION_EVENT_TYPES.SUPPLY_THRESHOLD,
+        timestamp,
+        card_meta_id: c.card_meta_id,
+        card_name: metaCard.name,
+        rarity: metaCard.rarity,
+        foil: Boolean(c.foil),
+        threshold,
+        minted_count: c.count,
+        supply: total,
+        supply_percent: percent(c.count / total),
+      })
+    );
+  });
+
+  return events;
+};
+
+/**
+ * Log an error stopping the sync as a single JSON line, with the cursor of the
+ * page it stopped at.
+ * @param error the error raised while applying the page.
+ * @param cursor the cursor used to retrieve the page.
  */
-class CTAManager {
+const _logSyncError = (error, cursor) => {
+  console.error(
+    JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: "error",
+      source: "sync",
+      type: error.name,
+      code: error.code,
+      message: error.message,
+      cursor,
+    })
+  );
+};
+
+/**
+ * Main manager of CTA assets got from the IMX blockchain.
+ * Emits the collection events (see COLLECTION_EVENT_TYPES) and the summary
+ * (SYNC_EVENT) of each applied page. The collection events are not emitted
+ * while the sync catches up from an empty database, as they would replay the
+ * whole history of the collection.
+ */
+class CTAManager extends EventEmitter {
   constructor() {
+    super();
+    // each live event stream adds a listener
+    this.setMaxListeners(0);
     this.lastCursor = undefined;
+    this.updatedMinTimestamp = undefined;
+    // resume point if IMX rejects the cursor restored at startup
+    this.fallbackMinTimestamp = undefined;
     this.repository = new Repository();
+    this.scoringWeights = loadScoringWeights();
+    // card supply table, reloaded when its file changes (see watchSupplyTable)
+    this.supplyTable = loadSupplyTable();
+    // leaderboards computed after each update
+    this.leaderboards = undefined;
+    // true while an update is running
+    this.updating = false;
+    // true until a sync started from an empty database reaches the last asset
+    this.catchingUp = false;
   }
 
   /**
@@ -78,12 +591,14 @@ class CTAManager {
       metadata: encodeURI(JSON.stringify({ tokenType: ["CARD", "MINT_PASS"] })),
       orderBy: "updated_at",
       direction: "asc",
+      updatedMinTimestamp: this.updatedMinTimestamp,
       cursor: this.lastCursor,
     };
 
     const { cursor, result } = await this.client.listAssets(params);
 
-    this.lastCursor = cursor;
+    // an empty page has no cursor, keep the previous one to not restart from the first page
+    if (cursor) this.lastCursor = cursor;
     return result;
   }
 
@@ -100,34 +615,138 @@ class CTAManager {
     return this._getAssetsFromFile();
   }
 
+  /**
+   * Restore the sync state stored by a previous run to resume the update where
+   * it stopped instead of rescanning the whole collection.
+   * @note: IMX cursors are bound to the request filters, so the stored cursor
+   * is used with the updated_min_timestamp filter it comes from. Without
+   * cursor, or if IMX rejects it, the update resumes from the last asset
+   * timestamp minus an overlap window.
+   */
+  async _restoreSyncState() {
+    const syncState = await this.repository.readSyncState();
+    if (!syncState?.lastAssetTimestamp) {
+      debug("sync STARTED from an empty database: collection events muted");
+      this.catchingUp = true;
+      return;
+    }
+
+    const lastAssetTs = Date.parse(syncState.lastAssetTimestamp);
+    const overlapTimestamp = isNaN(lastAssetTs)
+      ? undefined
+      : new Date(lastAssetTs - SYNC_OVERLAP_IN_SECONDS * 1000).toISOString();
+
+    if (syncState.cursor) {
+      this.lastCursor = syncState.cursor;
+      this.updatedMinTimestamp =
+        syncState.cursorUpdatedMinTimestamp ?? undefined;
+      this.fallbackMinTimestamp = overlapTimestamp;
+      debug(
+        `sync RESUMED from the stored cursor (last asset: ${syncState.lastAssetTimestamp}, last token: ${syncState.lastTokenId})`
+      );
+      return;
+    }
+
+    if (!overlapTimestamp) return;
+    this.updatedMinTimestamp = overlapTimestamp;
+
+    debug(
+      `sync RESUMED from ${this.updatedMinTimestamp} (last asset: ${syncState.lastAssetTimestamp}, last token: ${syncState.lastTokenId})`
+    );
+  }
+
   /**
    * Initialize the IMX client and the CTA database.
    */
   async initialize() {
     await this.repository.initialize();
+    await this._restoreSyncState();
 
     const config = Config.PRODUCTION;
     this.client = new ImmutableX(config);
   }
 
   /**
-   * Update CTA database from IMX blockchain data.
+   * Apply an assets page to the database. When it fails, the error class
+   * decides what to do: connection errors are retried with a backoff, and
+   * other errors abort the update. A page violating a constraint is logged
+   * as an error with its cursor, as the sync stops there until it is fixed.
+   * @param applyPage async function applying the page.
+   * @param cursor the cursor used to retrieve the page.
+   * @returns true if the update can continue with the next page.
+   */
+  async _applyPage(applyPage, cursor) {
+    for (let retry = 0; ; retry++) {
+      try {
+        await applyPage();
+        return true;
+      } catch (error) {
+        if (error instanceof ConnectionError && retry < SYNC_MAX_RETRIES) {
+          const delay = SYNC_RETRY_DELAY_IN_MS * 2 ** retry;
+          debug(
+            `page RETRIED in ${delay}ms cause of the following error: ${error}`
+          );
+          await sleep(delay);
+        } else {
+          if (error instanceof ConstraintError) _logSyncError(error, cursor);
+          debug(
+            `update ABORTED cause of the following error: ${error}. Will continue at the next update`
+          );
+          return false;
+        }
+      }
+    }
+  }
+
+  /**
+   * Update CTA database from IMX blockchain data. An update requested while
+   * the previous one is still running (e.g retrying a page) is skipped.
    */
   async update() {
+    if (this.updating) {
+      debug("update SKIPPED: the previous update is still running");
+      return;
+    }
+
+    this.updating = true;
+    try {
+      await this._update();
+    } finally {
+      this.updating = false;
+    }
+  }
+
+  /**
+   * Retrieve the new assets pages and apply them to the database.
+   */
+  async _update() {
     let lastAssetTs = null;
     let assets;
     let assetsCount = 0;
+    // cursor used to retrieve the current page
+    let pageCursor = this.lastCursor;
 
     try {
       assets = await this.getNextAssets();
       assetsCount = assets.length;
       this.logAssets(assets);
     } catch (error) {
+      if (this.fallbackMinTimestamp) {
+        debug(
+          `stored cursor DROPPED cause of the following error: ${error}. Will continue from ${this.fallbackMinTimestamp} at the next update`
+        );
+        this.lastCursor = undefined;
+        this.updatedMinTimestamp = this.fallbackMinTimestamp;
+        this.fallbackMinTimestamp = undefined;
+        return;
+      }
       debug(
         `update ABORTED cause of the following error: ${error}. Will continue at the next update`
       );
       return;
     }
+    // the stored cursor has been accepted
+    this.fallbackMinTimestamp = undefined;
 
     while (assets.length > 0 && assetsCount < MAX_ASSETS_PER_UPDATE) {
       const updateTs = new Date().toISOString();
@@ -159,6 +778,8 @@ class CTAManager {
             } = asset;
             const passType = getMintPassType(asset);
 
+            users.add(user);
+
             if (!mintPassTypes.has(passType)) {
               mintPassTypes.set(passType, {
                 passType,
@@ -173,6 +794,7 @@ class CTAManager {
                 passType,
                 user,
                 numbering,
+                metadata: asset.metadata,
                 created_at,
                 updated_at,
               });
@@ -180,113 +802,179 @@ class CTAManager {
           }
 
           if (asset.metadata.tokenType === "CARD") {
-            const {
-              user: user,
-              status: status,
-              token_id: tokenId,
-              metadata: {
-                name: name,
-                description: description,
-                rarity: rarity,
-                set: family,
-                element: element,
-                power: power,
-                foil: foil,
-                rank: rank,
-                grade: grade,
-                potential: potential,
-                numbering: numbering,
-                image: imageUrl,
-                advancement: advancement,
-                cardType: cardType,
-                animationLevel: animationLevel,
-              },
-              created_at: created_at,
-              updated_at: updated_at,
-            } = asset;
-            const metaCardId = getMetaCardId(asset);
+            const { metaCard, card } = getCard(asset);
 
-            elements.add(element);
-            rarities.add(rarity);
-            families.add(family);
-            users.add(user);
+            elements.add(metaCard.element);
+            rarities.add(metaCard.rarity);
+            families.add(metaCard.family);
+            users.add(asset.user);
 
             // meta cards list
-            if (!metaCards.has(metaCardId)) {
-              metaCards.set(metaCardId, {
-                id: metaCardId,
-                name,
-                description,
-                imageUrl,
-                element,
-                rarity,
-                family,
-                advancement,
-                cardType,
-              });
+            if (!metaCards.has(metaCard.id)) {
+              metaCards.set(metaCard.id, metaCard);
             }
 
             // cards
-            if (!cards.has(tokenId)) {
-              cards.set(tokenId, {
-                id: parseInt(tokenId),
-                card_meta_id: metaCardId,
-                user,
-                status,
-                foil,
-                rank,
-                grade,
-                power,
-                potential,
-                numbering,
-                animationLevel,
-                created_at,
-                updated_at,
-              });
+            if (!cards.has(asset.token_id)) {
+              cards.set(asset.token_id, { ...card, user: asset.user });
             }
           }
         });
 
-      await this.repository.update({
-        arkomes: [...elements],
-        rarities: [...rarities],
-        families: [...families],
-        users: [...users],
-        metaCards: Array.from(metaCards.values()),
-        cards: Array.from(cards.values()),
-        mintPassTypes: Array.from(mintPassTypes.values()),
-        mintPasses: Array.from(mintPasses.values()),
-      });
-
-      // process burned assets
-      let burnedPassIds = [];
-      let burnedCardIds = [];
+      // process burned assets (kept as burned, or redeemed for mint passes)
+      let burnedPasses = [];
+      let burnedCards = [];
       assets
         .filter((a) => a.status === "burned")
         .forEach((asset) => {
           if (asset.metadata.tokenType === "MINT_PASS") {
-            burnedPassIds = [...burnedPassIds, parseInt(asset.token_id)];
+            const { name, description, numbering, image } = asset.metadata;
+            const passType = getMintPassType(asset);
+
+            if (!mintPassTypes.has(passType)) {
+              mintPassTypes.set(passType, {
+                passType,
+                name,
+                description,
+                imageUrl: image,
+              });
+            }
+            burnedPasses = [
+              ...burnedPasses,
+              {
+                id: parseInt(asset.token_id),
+                passType,
+                numbering,
+                metadata: asset.metadata,
+                created_at: asset.created_at,
+                updated_at: asset.updated_at,
+                burnedAt: asset.updated_at,
+              },
+            ];
           }
 
           if (asset.metadata.tokenType === "CARD") {
-            burnedCardIds = [...burnedCardIds, parseInt(asset.token_id)];
+            const { metaCard, card } = getCard(asset);
+
+            elements.add(metaCard.element);
+            rarities.add(metaCard.rarity);
+            families.add(metaCard.family);
+            if (!metaCards.has(metaCard.id)) {
+              metaCards.set(metaCard.id, metaCard);
+            }
+
+            burnedCards = [
+              ...burnedCards,
+              { ...card, burnedAt: asset.updated_at },
+            ];
           }
         });
 
-      await this.repository.burn({
-        passIds: burnedPassIds,
-        cardIds: burnedCardIds,
-      });
+      // assets are ordered by ascending update timestamp
+      const lastAsset = assets[assets.length - 1];
+      lastAssetTs = lastAsset.updated_at;
 
-      if (assets.length > 0) {
-        lastAssetTs = assets[0].updated_at;
+      // apply the whole page atomically, with its update history and sync state
+      // (the collection events and summary are kept only once the page is committed)
+      let pageEvents = [];
+      let pageSummary;
+      const applied = await this._applyPage(async () => {
+        const page = await this.repository.transaction(async (repository) => {
+          // meta cards and minted supply before applying the page, to detect changes
+          const metaCardIds = Array.from(metaCards.keys()).map((id) =>
+            parseInt(id)
+          );
+          const storedMetaCardIds = await repository.getMetaCardIds(
+            metaCardIds
+          );
+          const countsBefore = await repository.getMintedCounts(metaCardIds);
+          const storedUsers = await repository.getUserAddresses([...users]);
 
-        await this.repository.recordUpdate(
-          updateTs,
-          lastAssetTs,
-          assets.length
-        );
+          // card owners before applying the page, to detect ownership changes
+          const previousOwners = await repository.getCardOwners(
+            assets
+              .filter((a) => a.metadata.tokenType === "CARD")
+              .map((a) => parseInt(a.token_id))
+          );
+          const previousPassOwners = await repository.getMintPassOwners(
+            assets
+              .filter((a) => a.metadata.tokenType === "MINT_PASS")
+              .map((a) => parseInt(a.token_id))
+          );
+
+          await repository.update({
+            arkomes: [...elements],
+            rarities: [...rarities],
+            families: [...families],
+            users: [...users],
+            metaCards: Array.from(metaCards.values()),
+            cards: Array.from(cards.values()),
+            mintPassTypes: Array.from(mintPassTypes.values()),
+            mintPasses: Array.from(mintPasses.values()),
+          });
+
+          await repository.burn({
+            passes: burnedPasses,
+            cards: burnedCards,
+          });
+
+          const ownershipEvents = getOwnershipEvents(assets, previousOwners);
+          const mintPassEvents = getMintPassEvents(assets, previousPassOwners);
+          await repository.recordOwnershipEvents(ownershipEvents);
+          await repository.recordMintPassEvents(mintPassEvents);
+
+          const events = [
+            ...getCollectionEvents({
+              timestamp: updateTs,
+              metaCards,
+              storedMetaCardIds,
+              cards,
+              ownershipEvents,
+              mintPassEvents,
+            }),
+            ...getSupplyThresholdEvents({
+              timestamp: updateTs,
+              metaCards,
+              countsBefore,
+              countsAfter: await repository.getMintedCounts(metaCardIds),
+              supplyTable: this.supplyTable,
+            }),
+          ];
+
+          await repository.recordUpdate(updateTs, lastAssetTs, assets.length);
+          await repository.saveSyncState({
+            cursor: this.lastCursor,
+            cursorUpdatedMinTimestamp: this.updatedMinTimestamp,
+            lastAssetTimestamp: lastAssetTs,
+            lastTokenId: parseInt(lastAsset.token_id),
+          });
+
+          const summary = getSyncSummary({
+            timestamp: updateTs,
+            lastAssetTimestamp: lastAssetTs,
+            assetsCount: assets.length,
+            ownershipEvents,
+            mintPassEvents,
+            newUsers: [...users].filter((user) => !storedUsers.has(user)),
+          });
+          return { events, summary };
+        });
+        pageEvents = page.events;
+        pageSummary = page.summary;
+      }, pageCursor);
+
+      if (!applied) {
+        // the page has been rolled back, retrieve it again at the next update
+        this.lastCursor = pageCursor;
+        return;
+      }
+
+      if (!this.catchingUp) {
+        pageEvents.forEach((event) => this.emit(event.type, event));
       }
+      if (pageSummary) this.emit(SYNC_EVENT, pageSummary);
+
+      pageCursor = this.lastCursor;
 
       try {
         assets = await this.getNextAssets();
@@ -301,23 +989,147 @@ class CTAManager {
     }
 
     debug(`update DONE (assets retrieved: ${assetsCount})`);
+
+    if (this.catchingUp && assets.length <= 0) {
+      debug("sync CAUGHT UP: collection events unmuted");
+      this.catchingUp = false;
+    }
+
+    try {
+      await this.recordSupplySnapshot();
+    } catch (error) {
+      debug(`supply snapshot FAILED: ${error}`);
+    }
+
+    try {
+      await this.computeLeaderboards();
+    } catch (error) {
+      debug(`leaderboards computation FAILED: ${error}`);
+    }
+  }
+
+  /**
+   * Score the users and rank them by score, foil count, mythic count and mint
+   * pass count. The leaderboards are cached until the next computation.
+   * @returns the leaderboards.
+   */
+  async computeLeaderboards() {
+    const users = new Map();
+    const getUser = (address) =>
+      users.get(address) || {
+        address,
+        score: 0,
+        card_count: 0,
+        foil_count: 0,
+        mythic_count: 0,
+        mint_pass_count: 0,
+      };
+
+    const cardCounts = await this.repository.getUsersScoringCounts();
+    cardCounts.forEach((c) => {
+      const user = getUser(c.address);
+      user.score +=
+        c.count * getCardScore(c, this.scoringWeights, this.supplyTable);
+      user.card_count += c.count;
+      user.foil_count += c.foil ? c.count : 0;
+      user.mythic_count += c.rarity === "MYTHIC" ? c.count : 0;
+      users.set(c.address, user);
+    });
+
+    const mintPassCounts = await this.repository.getUsersMintPassCounts();
+    mintPassCounts.forEach((p) => {
+      const user = getUser(p.address);
+      user.mint_pass_count = p.count;
+      users.set(p.address, user);
+    });
+
+    const rank = (property) =>
+      Array.from(users.values())
+        .filter((u) => u[property] > 0)
+        .sort((a, b) => b[property] - a[property])
+        .slice(0, LEADERBOARD_SIZE)
+        .map((u, i) => ({ rank: i + 1, ...u, score: Math.round(u.score) }));
+
+    this.leaderboards = {
+      computed_at: new Date().toISOString(),
+      boards: {
+        score: rank("score"),
+        foils: rank("foil_count"),
+        mythics: rank("mythic_count"),
+        mintPasses: rank("mint_pass_count"),
+      },
+    };
+    debug(`leaderboards COMPUTED (users: ${users.size})`);
+
+    return this.leaderboards;
+  }
+
+  /**
+   * Get a page of a leaderboard, computed after the last update.
+   * @param board the leaderboard ('score', 'foils', 'mythics' or 'mintPasses').
+   * @param pageIndex index of the page (starting at 0).
+   * @param pageSize number of users per page.
+   * @returns the page of the leaderboard.
+   */
+  async getLeaderboard(board, pageIndex, pageSize) {
+    const { computed_at, boards } =
+      this.leaderboards || (await this.computeLeaderboards());
+    const users = boards[board];
+
+    return {
+      board,
+      computed_at,
+      total: users.length,
+      page: pageIndex,
+      page_size: pageSize,
+      users: users.slice(pageIndex * pageSize, (pageIndex + 1) * pageSize),
+    };
+  }
+
+  /**
+   * Record a snapshot of the minted supply, at most once per snapshot period.
+   */
+  async recordSupplySnapshot() {
+    const now = new Date();
+    const lastSnapshotTs =
+      await this.repository.readLastSupplySnapshotTimestamp();
+    if (
+      lastSnapshotTs &&
+      now - new Date(lastSnapshotTs) <
+        SUPPLY_SNAPSHOT_PERIOD_IN_MINUTES * 60 * 1000
+    )
+      return;
+
+    const snapshotTs = now.toISOString();
+    await this.repository.transaction(
+      async (repository) => await repository.recordSupplySnapshot(snapshotTs)
+    );
+    debug(`supply snapshot RECORDED: ${snapshotTs}`);
   }
 
   /**
    * get CTA statistics from the database.
+   * @param separateFoil indicates if foil and non foil cards of a meta card are
+   * counted in separate entries.
+   * @param groupBy optional dimensions ('foil', 'element', 'rarity', 'family',
+   * 'advancement') of the card counts rolled up per group.
    * @returns the statistics.
    */
-  async getCollectionStats() {
+  async getCollectionStats(separateFoil = false, groupBy = []) {
     let stdCollection = new Map();
     let altCollection = new Map();
+    const metaCards = new Map();
 
-    const { stdCards, altCards, mintPasses } =
-      await this.repository.getCollectionStats();
+    const { stdCards, altCards, mintPasses, potentials, groups } =
+      await this.repository.getCollectionStats(groupBy);
+
+    const getKey = (c) => (separateFoil ? `${c.id}-${Boolean(c.foil)}` : c.id);
 
     // process standard cards
     stdCards.forEach((c) => {
       const cardCount = parseInt(c.count);
-      const values = stdCollection.get(c.id) || {
+      const burnedCount = parseInt(c.burned_count);
+      const values = stdCollection.get(getKey(c)) || {
         id: c.id,
         foil: Boolean(c.foil),
         card_name: c.card_name,
@@ -325,29 +1137,48 @@ class CTAManager {
         advancement: c.advancement,
         element: c.element,
         rarity: c.rarity,
+        family: c.family,
         total_count: 0,
         total_count_non_foil: 0,
         total_count_foil: 0,
+        burned_count: 0,
+        burned_count_non_foil: 0,
+        burned_count_foil: 0,
+        circulating_count: 0,
+        circulating_count_non_foil: 0,
+        circulating_count_foil: 0,
         supply_percent: 0,
-        supply: getSupply(c),
+        supply: getSupply(c, this.supplyTable),
+        potentials: {},
         ranks: {
           standard: { r1: 0, r2: 0, r3: 0, r4: 0, r5: 0 },
           foil: { r1: 0, r2: 0, r3: 0, r4: 0, r5: 0 },
         },
+        burned_ranks: {
+          standard: { r1: 0, r2: 0, r3: 0, r4: 0, r5: 0 },
+          foil: { r1: 0, r2: 0, r3: 0, r4: 0, r5: 0 },
+        },
+        circulating_ranks: {
+          standard: { r1: 0, r2: 0, r3: 0, r4: 0, r5: 0 },
+          foil: { r1: 0, r2: 0, r3: 0, r4: 0, r5: 0 },
+        },
       };
 
-      values.ranks[c.foil ? "foil" : "standard"][`r${c.rank}`] = cardCount;
-      values.total_count += cardCount;
-      values.total_count_non_foil += c.foil ? 0 : cardCount;
-      values.total_count_foil += c.foil ? cardCount : 0;
+      const foil = c.foil ? "foil" : "standard";
+      values.ranks[foil][`r${c.rank}`] = cardCount;
+      values.burned_ranks[foil][`r${c.rank}`] = burnedCount;
+      values.circulating_ranks[foil][`r${c.rank}`] = cardCount - burnedCount;
+      addCardCounts(values, c.foil, cardCount, burnedCount);
 
-      stdCollection.set(c.id, values);
+      stdCollection.set(getKey(c), values);
+      metaCards.set(c.id, c);
     });
 
     // process alternative cards
     altCards.forEach((c) => {
       const cardCount = parseInt(c.count);
-      const values = altCollection.get(c.id) || {
+      const burnedCount = parseInt(c.burned_count);
+      const values = altCollection.get(getKey(c)) || {
         id: c.id,
         foil: Boolean(c.foil),
         card_name: c.card_name,
@@ -355,55 +1186,335 @@ class CTAManager {
         advancement: c.advancement,
         element: c.element,
         rarity: c.rarity,
+        family: c.family,
         total_count: 0,
         total_count_non_foil: 0,
         total_count_foil: 0,
+        burned_count: 0,
+        burned_count_non_foil: 0,
+        burned_count_foil: 0,
+        circulating_count: 0,
+        circulating_count_non_foil: 0,
+        circulating_count_foil: 0,
         supply_percent: 0,
-        supply: getSupply(c),
+        supply: getSupply(c, this.supplyTable),
+        potentials: {},
         grades: {
           foil: { C: 0, B: 0, A: 0, S: 0 },
           standard: { C: 0, B: 0, A: 0, S: 0 },
         },
+        burned_grades: {
+          foil: { C: 0, B: 0, A: 0, S: 0 },
+          standard: { C: 0, B: 0, A: 0, S: 0 },
+        },
+        circulating_grades: {
+          foil: { C: 0, B: 0, A: 0, S: 0 },
+          standard: { C: 0, B: 0, A: 0, S: 0 },
+        },
       };
 
-      values.grades[c.foil ? "foil" : "standard"][c.grade] = cardCount;
-      values.total_count += cardCount;
-      values.total_count_non_foil += c.foil ? 0 : cardCount;
-      values.total_count_foil += c.foil ? cardCount : 0;
+      const foil = c.foil ? "foil" : "standard";
+      values.grades[foil][c.grade] = cardCount;
+      values.burned_grades[foil][c.grade] = burnedCount;
+      values.circulating_grades[foil][c.grade] = cardCount - burnedCount;
+      addCardCounts(values, c.foil, cardCount, burnedCount);
+
+      altCollection.set(getKey(c), values);
+      metaCards.set(c.id, c);
+    });
+
+    // distribution of the card potentials
+    potentials.forEach((p) => {
+      const values =
+        stdCollection.get(getKey(p)) || altCollection.get(getKey(p));
+      if (!values) return;
 
-      altCollection.set(c.id, values);
+      values.potentials[p.potential] =
+        (values.potentials[p.potential] || 0) + parseInt(p.count);
     });
 
     // compute the percentage of supply already minted
     stdCollection.forEach((c) => {
-      c.supply_percent = getSupplyPercent(c);
+      c.supply_percent = getSupplyPercent(c, this.supplyTable);
     });
     altCollection.forEach((c) => {
-      c.supply_percent = getSupplyPercent(c);
+      c.supply_percent = getSupplyPercent(c, this.supplyTable);
     });
 
     return {
       std_cards: Array.from(stdCollection.values()),
       alt_cards: Array.from(altCollection.values()),
-      mint_passes: mintPasses,
+      mint_passes: mintPasses.map((p) => {
+        const minted = parseInt(p.minted_count);
+        const redeemed = parseInt(p.redeemed_count);
+        return {
+          ...p,
+          count: minted - redeemed,
+          minted_count: minted,
+          redeemed_count: redeemed,
+          outstanding_count: minted - redeemed,
+          redemption_rate: minted > 0 ? percent(redeemed / minted) : 0,
+        };
+      }),
+      groups: groups.map((g) =>
+        getGroupStats(g, groupBy, metaCards, this.supplyTable)
+      ),
       last_update: await this.repository.get_last_update(),
     };
   }
 
+  /**
+   * Get the time series of the minted supply of a meta card or a rarity.
+   * Each bucket holds the supply of the last snapshot recorded during its period.
+   * @param cardId optional meta card id.
+   * @param rarity optional rarity name (the whole collection if no card id nor rarity).
+   * @param from start timestamp of the time range.
+   * @param to end timestamp of the time range.
+   * @param bucket the bucket size ('hour', 'day' or 'week').
+   * @returns the supply time series.
+   */
+  async getSupplyHistory({ cardId, rarity, from, to, bucket }) {
+    const bucketSize = SUPPLY_HISTORY_BUCKETS[bucket];
+    const rows = await this.repository.getSupplyHistory({
+      cardId,
+      rarity,
+      from,
+      to,
+    });
+
+    const buckets = new Map();
+    rows.forEach((row) => {
+      const bucketTs =
+        Math.floor(new Date(row.snapshot_timestamp).getTime() / bucketSize) *
+        bucketSize;
+
+      // rows are ordered by snapshot: a newer snapshot replaces the bucket values
+      let values = buckets.get(bucketTs);
+      if (!values || values.snapshot_timestamp !== row.snapshot_timestamp) {
+        values = {
+          timestamp: new Date(bucketTs).toISOString(),
+          snapshot_timestamp: row.snapshot_timestamp,
+          total_count: 0,
+          total_count_non_foil: 0,
+          total_count_foil: 0,
+        };
+        buckets.set(bucketTs, values);
+      }
+
+      values.total_count += row.count;
+      values.total_count_non_foil += row.foil ? 0 : row.count;
+      values.total_count_foil += row.foil ? row.count : 0;
+    });
+
+    return {
+      card_id: cardId,
+      rarity,
+      from,
+      to,
+      bucket,
+      series: Array.from(buckets.values()),
+    };
+  }
+
+  /**
+   * Get the time series of the mint pass redemptions (burns).
+   * @param passType optional mint pass type (all the types if missing).
+   * @param from start timestamp of the time range.
+   * @param to end timestamp of the time range.
+   * @param bucket the bucket size ('hour', 'day' or 'week').
+   * @returns the number of redemptions per bucket, with the cumulated number of
+   * redemptions and the redemption rate (% of the minted passes) at the end of
+   * each bucket.
+   */
+  async getRedemptionHistory({ passType, from, to, bucket }) {
+    const bucketSize = SUPPLY_HISTORY_BUCKETS[bucket];
+    const { mintedCount, burns } = await this.repository.getMintPassRedemptions(
+      passType,
+      to
+    );
+
+    let redeemed = 0;
+    const buckets = new Map();
+    burns.forEach((burnedAt) => {
+      redeemed++;
+      if (burnedAt < from) return;
+
+      const bucketTs =
+        Math.floor(new Date(burnedAt).getTime() / bucketSize) * bucketSize;
+      const values = buckets.get(bucketTs) || {
+        timestamp: new Date(bucketTs).toISOString(),
+        redeemed_count: 0,
+      };
+      values.redeemed_count++;
+      values.total_redeemed_count = redeemed;
+      values.redemption_rate =
+        mintedCount > 0 ? percent(redeemed / mintedCount) : 0;
+      buckets.set(bucketTs, values);
+    });
+
+    return {
+      pass_type: passType,
+      from,
+      to,
+      bucket,
+      minted_count: mintedCount,
+      series: Array.from(buckets.values()),
+    };
+  }
+
   /**
    * Get user collection from its IMX wallet address
    * @param address IMX wallet address of an user.
+   * @param filters optional filters (see Repository.getUserCollection).
+   * @param expand indicates if the meta card data is joined to each card.
+   * @param groupByCard indicates if the cards are grouped by meta card, with
+   * their counts per foil and rank/grade.
+   * @param pageIndex index of the page (starting at 0).
+   * @param pageSize optional number of cards (or groups) per page.
    * @returns the user card collection.
    */
-  async getUserCollection(address) {
-    const collection = await this.repository.getUserCollection(address);
+  async getUserCollection(
+    address,
+    {
+      filters = {},
+      expand = false,
+      groupByCard = false,
+      pageIndex,
+      pageSize,
+    } = {}
+  ) {
     const userInfo = await this.repository.getUserInfo(address);
+
+    let collection, total;
+    if (groupByCard) {
+      const groups = getUserCardGroups(
+        await this.repository.getUserCollectionGroups(address, filters)
+      );
+      total = groups.length;
+      collection =
+        pageSize !== undefined
+          ? groups.slice(pageIndex * pageSize, (pageIndex + 1) * pageSize)
+          : groups;
+    } else {
+      collection = await this.repository.getUserCollection(address, {
+        filters,
+        expand,
+        pageIndex,
+        pageSize,
+      });
+      total = await this.repository.countUserCards(address, filters);
+    }
+
     return {
       info: userInfo,
+      total,
+      page: pageSize !== undefined ? pageIndex : undefined,
+      page_size: pageSize,
       collection,
     };
   }
 
+  /**
+   * Get the collection completion of a user: distinct meta cards owned vs total
+   * (any copy and foil copy), overall and per family, element, rarity and
+   * advancement, with the list of missing meta cards.
+   * @param address IMX wallet address of an user.
+   * @returns the collection completion of the user.
+   */
+  async getUserCompletion(address) {
+    const metaCards = await this.repository.getUserMetaCardCounts(address);
+    const toMissing = ({ id, name, advancement, element, rarity, family }) => ({
+      id,
+      name,
+      advancement,
+      element,
+      rarity,
+      family,
+    });
+
+    return {
+      address,
+      total: getCompletion(metaCards),
+      families: getCompletionBy(metaCards, "family"),
+      elements: getCompletionBy(metaCards, "element"),
+      rarities: getCompletionBy(metaCards, "rarity"),
+      advancements: getCompletionBy(metaCards, "advancement"),
+      missing: metaCards.filter((m) => m.count === 0).map(toMissing),
+      missing_foil: metaCards.filter((m) => m.foil_count === 0).map(toMissing),
+    };
+  }
+
+  /**
+   * Compare the collections of several users.
+   * @param addresses IMX wallet addresses of the users.
+   * @returns for each meta card held by one of the users, the number of copies
+   * (and foil copies) held by each user; the meta cards held by a single user
+   * (unique), by several users (overlapping), and the duplicates a user could
+   * give to another user who doesn't hold the meta card (tradeable).
+   */
+  async compareUsers(addresses) {
+    const rows = await this.repository.getUsersCardCounts(addresses);
+    const noCopies = () =>
+      Object.fromEntries(addresses.map((address) => [address, 0]));
+
+    const cards = new Map();
+    rows.forEach((row) => {
+      const card = cards.get(row.card_meta_id) || {
+        card_meta_id: row.card_meta_id,
+        name: row.name,
+        image_url: row.image_url,
+        advancement: row.advancement,
+        card_type: row.card_type,
+        element: row.element,
+        rarity: row.rarity,
+        family: row.family,
+        counts: noCopies(),
+        foil_counts: noCopies(),
+      };
+
+      card.counts[row.address] = row.count;
+      card.foil_counts[row.address] = row.foil_count;
+      cards.set(row.card_meta_id, card);
+    });
+
+    const unique = Object.fromEntries(
+      addresses.map((address) => [address, []])
+    );
+    const overlapping = [];
+    const tradeable = [];
+    cards.forEach((card) => {
+      const holders = addresses.filter((address) => card.counts[address] > 0);
+      if (holders.length === 1) {
+        unique[holders[0]].push(card.card_meta_id);
+      } else {
+        overlapping.push({ card_meta_id: card.card_meta_id, holders });
+      }
+
+      addresses
+        .filter((from) => card.counts[from] > 1)
+        .forEach((from) => {
+          addresses
+            .filter((to) => card.counts[to] === 0)
+            .forEach((to) =>
+              tradeable.push({
+                card_meta_id: card.card_meta_id,
+                from,
+                to,
+                duplicates: card.counts[from] - 1,
+              })
+            );
+        });
+    });
+
+    return {
+      addresses,
+      cards: Array.from(cards.values()),
+      unique,
+      overlapping,
+      tradeable,
+    };
+  }
+
   /**
    * Get card details (i.e card information + who owns cards of this ID)
    */
@@ -417,20 +1528,368 @@ class CTAManager {
   }
 
   /**
-   * Get the full card collection.
+   * Get the effective supply of a meta card, with the rule of the supply table
+   * it comes from.
+   * @param id the meta card id.
+   * @returns the meta card with its supply, or undefined if it doesn't exist.
+   */
+  async getCardSupply(id) {
+    const card = await this.repository.getCardDetail(id);
+    if (!card) return undefined;
+
+    return {
+      id: card.id,
+      card_name: card.name,
+      family: card.family,
+      rarity: card.rarity,
+      advancement: card.advancement,
+      ...getSupplyRule({ ...card, card_name: card.name }, this.supplyTable),
+      version: this.supplyTable.version,
+    };
+  }
+
+  /**
+   * Reload the card supply table when its file changes. The leaderboards are
+   * computed again with the new supplies when next requested.
+   * @returns the file watcher.
    */
-  async getCardCollection() {
-    const collection = await this.repository.getCardCollection();
-    return collection;
+  watchSupplyTable() {
+    return watchSupplyTable(
+      (table) => {
+        this.supplyTable = table;
+        this.leaderboards = undefined;
+        debug(`supply table RELOADED: version ${table.version}`);
+      },
+      (error) => debug(`supply table reload FAILED: ${error.message}`)
+    );
   }
 
   /**
-   * Get the list of users.
+   * Get the cards of a meta card with a serial number.
+   * @param id the meta card id.
+   * @param numbering the serial number.
+   * @param foil optional foil flag (foil and non foil cards if missing).
+   * @returns the cards with their owner address.
    */
-  async getUsers(pageIndex = 0, pageSize = 50) {
-    const users = await this.repository.getUsers(pageIndex, pageSize);
-    return users;
+  async getSerialHolders(id, numbering, foil) {
+    const cards = await this.repository.getCardsBySerial(id, numbering, foil);
+    return cards.map((c) => ({ ...c, foil: Boolean(c.foil) }));
+  }
+
+  /**
+   * Get the lowest numbered foil and non foil cards of a meta card.
+   * @param id the meta card id.
+   * @param count the number of cards per foil flag.
+   * @returns the lowest numbered cards with their owner address.
+   */
+  async getLowestSerials(id, count) {
+    return {
+      card_meta_id: id,
+      non_foil: await this.repository.getLowestSerials(id, false, count),
+      foil: await this.repository.getLowestSerials(id, true, count),
+    };
+  }
+
+  /**
+   * Get the gaps of the serial numbers of a meta card.
+   * @param id the meta card id.
+   * @param foil the foil flag.
+   * @param pageIndex index of the page (starting at 0).
+   * @param pageSize number of gaps per page.
+   * @returns the page of gaps, with the total number of gaps and of missing numbers.
+   */
+  async getSerialGaps(id, foil, pageIndex, pageSize) {
+    const { gaps, total, missingCount } = await this.repository.getSerialGaps(
+      id,
+      foil,
+      pageIndex,
+      pageSize
+    );
+
+    return {
+      card_meta_id: id,
+      foil,
+      total,
+      missing_count: missingCount,
+      page: pageIndex,
+      page_size: pageSize,
+      gaps,
+    };
+  }
+
+  /**
+   * Find the serial numbers held by several cards or mint passes.
+   * @returns the duplicated serial numbers with the ids of their tokens.
+   */
+  async getDuplicateSerials() {
+    const { cards, mintPasses } = await this.repository.getDuplicateSerials();
+
+    const group = (rows, keys) => {
+      const duplicates = new Map();
+      rows.forEach((row) => {
+        const key = keys.map((k) => row[k]).join("-");
+        const duplicate = duplicates.get(key) || {
+          ...Object.fromEntries(keys.map((k) => [k, row[k]])),
+          token_ids: [],
+        };
+        duplicate.token_ids.push(row.id);
+        duplicates.set(key, duplicate);
+      });
+      return Array.from(duplicates.values());
+    };
+
+    const duplicates = {
+      cards: group(cards, ["card_meta_id", "foil", "numbering"]).map((d) => ({
+        ...d,
+        foil: Boolean(d.foil),
+      })),
+      mint_passes: group(mintPasses, ["mint_pass_type_id", "numbering"]),
+    };
+    if (duplicates.cards.length > 0 || duplicates.mint_passes.length > 0) {
+      debug(
+        `serial numbers DUPLICATED: ${duplicates.cards.length} card numbers, ${duplicates.mint_passes.length} mint pass numbers`
+      );
+    }
+
+    return duplicates;
+  }
+
+  /**
+   * Get the stored records of a list of tokens (cards or mint passes).
+   * Cards burned before being kept in the database are identified by their burn event.
+   * @param ids the token ids.
+   * @returns the records of the tokens found, and the ids of the tokens not found.
+   */
+  async getTokens(ids) {
+    const tokens = new Map();
+
+    const cards = await this.repository.getCardTokens(ids);
+    cards.forEach(({ address, ...c }) =>
+      tokens.set(c.id, {
+        ...c,
+        token_type: "CARD",
+        foil: Boolean(c.foil),
+        owner: c.burned_at ? null : address,
+        ...(c.burned_at && { last_owner: address }),
+        burned: Boolean(c.burned_at),
+      })
+    );
+
+    const mintPasses = await this.repository.getMintPassTokens(ids);
+    mintPasses.forEach(({ address, ...p }) =>
+      tokens.set(p.id, {
+        ...p,
+        token_type: "MINT_PASS",
+        owner: p.burned_at ? null : address,
+        ...(p.burned_at && { last_owner: address }),
+        burned: Boolean(p.burned_at),
+      })
+    );
+
+    const burns = await this.repository.getCardBurnEvents(
+      ids.filter((id) => !tokens.has(id))
+    );
+    burns.forEach(({ card_id, event_timestamp, from_address, ...meta }) =>
+      tokens.set(card_id, {
+        id: card_id,
+        ...meta,
+        token_type: "CARD",
+        owner: null,
+        last_owner: from_address,
+        burned: true,
+        burned_at: event_timestamp,
+      })
+    );
+
+    return {
+      tokens: ids.filter((id) => tokens.has(id)).map((id) => tokens.get(id)),
+      not_found: ids.filter((id) => !tokens.has(id)),
+    };
+  }
+
+  /**
+   * Get the ownership history (mint, transfers, burn) of a card.
+   * @param id the card token id.
+   * @returns the list of ownership events of the card.
+   */
+  async getCardHistory(id) {
+    const history = await this.repository.getCardOwnershipHistory(id);
+    return history;
+  }
+
+  /**
+   * Get the card transfers (received or sent) of a user over a time range.
+   * @param address IMX wallet address of an user.
+   * @param from optional start timestamp of the time range.
+   * @param to optional end timestamp of the time range.
+   * @returns the list of ownership events involving the user.
+   */
+  async getUserTransfers(address, from, to) {
+    const transfers = await this.repository.getUserTransfers(address, from, to);
+    return transfers;
+  }
+
+  /**
+   * Get the portfolio history of a user, built from the recorded ownership events:
+   * daily cards gained and lost (per rarity, with the cards held at the end of
+   * each day), first acquisition date of each meta card and list of events.
+   * The holdings start from the current cards of the user rolled back through
+   * the events, so that the cards held before the events were recorded count.
+   * @param address IMX wallet address of an user.
+   * @param from optional start timestamp of the time range.
+   * @param to optional end timestamp of the time range.
+   * @returns the portfolio history of the user.
+   */
+  async getUserHistory(address, from, to) {
+    // the whole history is needed to compute the holdings and first acquisitions
+    const allEvents = await this.repository.getUserTransfers(address);
+    const metaCards = await this.repository.getUserMetaCardCounts(address);
+
+    // holdings before the first recorded event
+    const holdings = {};
+    const addHolding = (rarity, count) =>
+      (holdings[rarity] = (holdings[rarity] || 0) + count);
+    metaCards
+      .filter((m) => m.count > 0)
+      .forEach((m) => addHolding(m.rarity, m.count));
+    allEvents.forEach((e) => {
+      const rarity = e.rarity || "UNKNOWN";
+      if (e.to_address === address) addHolding(rarity, -1);
+      if (e.from_address === address) addHolding(rarity, 1);
+    });
+
+    const events = allEvents.filter((e) => !to || e.event_timestamp <= to);
+    const inRange = (ts) => !from || ts >= from;
+    // holdings at the start of the time range
+    let startHoldings = { ...holdings };
+    const days = new Map();
+    const firstAcquired = new Map();
+
+    events.forEach((e) => {
+      const rarity = e.rarity || "UNKNOWN";
+      if (e.to_address === address) {
+        addHolding(rarity, 1);
+
+        if (!firstAcquired.has(e.card_meta_id)) {
+          firstAcquired.set(e.card_meta_id, {
+            card_meta_id: e.card_meta_id,
+            card_name: e.card_name,
+            rarity: e.rarity,
+            first_acquired_at: e.event_timestamp,
+          });
+        }
+      }
+      if (e.from_address === address) addHolding(rarity, -1);
+
+      // the events before the time range only count in the start holdings
+      if (!inRange(e.event_timestamp)) {
+        startHoldings = { ...holdings };
+        return;
+      }
+
+      const day = e.event_timestamp.substring(0, 10);
+      const values = days.get(day) || {
+        date: day,
+        gained: 0,
+        lost: 0,
+        net: 0,
+        rarities: {},
+      };
+      const rarityValues = values.rarities[rarity] || { gained: 0, lost: 0 };
+      if (e.to_address === address) {
+        values.gained++;
+        rarityValues.gained++;
+      }
+      if (e.from_address === address) {
+        values.lost++;
+        rarityValues.lost++;
+      }
+
+      values.net = values.gained - values.lost;
+      values.rarities[rarity] = rarityValues;
+      values.holdings = { ...holdings };
+      days.set(day, values);
+    });
+
+    return {
+      address,
+      from,
+      to,
+      start_holdings: startHoldings,
+      daily: Array.from(days.values()),
+      first_acquired: Array.from(firstAcquired.values()),
+      events: events
+        .filter((e) => inRange(e.event_timestamp))
+        .map((e) => ({
+          ...e,
+          direction: e.to_address === address ? "in" : "out",
+        })),
+    };
+  }
+
+  /**
+   * Get the card collection, with the facet values of the filters.
+   * @param filters optional filters: lists of values for element, rarity, family,
+   * advancement and cardType, and a case-insensitive text search on name/description.
+   * @param sort the sort key ('id', 'name', 'element', 'rarity' or 'family').
+   * @param order the sort order ('asc' or 'desc').
+   */
+  async getCardCollection(filters = {}, sort = "id", order = "asc") {
+    const cards = await this.repository.getCardCollection(filters, sort, order);
+    const facets = await this.repository.getCollectionFacets(filters);
+    return {
+      total: cards.length,
+      cards,
+      facets,
+    };
+  }
+
+  /**
+   * Get a page of the list of users.
+   * @param pageIndex index of the page (starting at 0).
+   * @param pageSize number of users per page.
+   * @param sort the sort key ('cards', 'foils', 'mythics' or 'mintPasses').
+   * @param order the sort order ('asc' or 'desc').
+   * @param minCards optional minimum number of cards held.
+   * @param ownsCard optional meta card id that users must hold.
+   * @returns the users with their asset counts, and the total number of users.
+   */
+  async getUsers({
+    pageIndex = 0,
+    pageSize = 50,
+    sort = "cards",
+    order = "desc",
+    minCards,
+    ownsCard,
+  } = {}) {
+    const { users, total } = await this.repository.getUsers({
+      pageIndex,
+      pageSize,
+      sort,
+      order,
+      minCards,
+      ownsCard,
+    });
+
+    return {
+      total,
+      page: pageIndex,
+      page_size: pageSize,
+      users: users.map((u) => ({
+        address: u.address,
+        card_count: parseInt(u.card_count),
+        foil_count: parseInt(u.foil_count),
+        mythic_count: parseInt(u.mythic_count),
+        mint_pass_count: parseInt(u.mint_pass_count),
+      })),
+    };
   }
 }
 
-module.exports = { CTAManager };
+module.exports = {
+  CTAManager,
+  getOwnershipEvents,
+  getMintPassEvents,
+  getCollectionEvents,
+  getSupplyThresholdEvents,
+};
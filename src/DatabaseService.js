@@ -1,8 +1,11 @@
-const { Pool } = require("pg");
-const fs = require("fs");
-const format = require("pg-format");
 const debug = require("debug")("database");
 
+const { createDriver } = require("./drivers");
+const { splitInChunks } = require("./utils");
+
+// Maximum number of rows per upsert statement (to stay under the query params limits)
+const UPSERT_CHUNK_SIZE = 500;
+
 /**
  * convert a list of fields in a SQL field names string.
  */
@@ -22,12 +25,72 @@ const _fieldValues = (fieldNames, o) => {
     : fieldNames.map((f) => o[f]);
 };
 
+/**
+ * generate the placeholders ($1, $2, ...) of a multi-row VALUES clause and the
+ * related flat list of params.
+ */
+const _valuesList = (rows) => {
+  const params = [];
+  const text = rows
+    .map((row) => {
+      const placeholders = (Array.isArray(row) ? row : [row]).map((v) => {
+        params.push(v);
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(",")})`;
+    })
+    .join(",");
+  return { text, params };
+};
+
+/**
+ * Keep the last value of each primary key, as a row can't be affected twice by
+ * the same statement (rows without primary key are ignored).
+ */
+const _lastValuePerPk = (pkName, values) =>
+  Array.from(
+    new Map(
+      values.filter((v) => v[pkName] != null).map((v) => [String(v[pkName]), v])
+    ).values()
+  );
+
+/**
+ * Log a query error as a single JSON line, with the offending query.
+ * @note: only the number of params is logged as a bulk query can have thousands of them.
+ */
+const _logError = (error) => {
+  console.error(
+    JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: "error",
+      source: "database",
+      type: error.name,
+      code: error.code,
+      message: error.message,
+      query: error.query?.replace(/\s+/g, " ").trim().substring(0, 1000),
+      paramsCount: error.params?.length,
+    })
+  );
+};
+
 /**
  * Service to access to a database.
+ * The storage backend is provided by a driver (see ./drivers), so queries must
+ * stay dialect-neutral and use $1, $2, ... placeholders.
  */
 class DatabaseService {
-  constructor() {
-    this.pool = new Pool();
+  /**
+   * @param {*} driver the database driver (or a transaction connection).
+   */
+  constructor(driver = createDriver()) {
+    this.driver = driver;
+  }
+
+  /**
+   * Dialect-specific column types to use in schema definitions.
+   */
+  get types() {
+    return this.driver.types;
   }
 
   /**
@@ -42,32 +105,46 @@ class DatabaseService {
    */
   async finalize() {
     debug("finalizing...");
-    await this.pool.end();
+    await this.driver.end();
+  }
+
+  /**
+   * Execute operations in a single transaction: committed if the callback
+   * succeeds, rolled back otherwise.
+   * @param {*} callback async function receiving a service bound to the transaction.
+   * @returns the callback result.
+   */
+  async transaction(callback) {
+    return await this.driver.transaction(
+      async (connection) => await callback(new DatabaseService(connection))
+    );
   }
 
   /**
    * query the database (could be a select, a create table, ...)
    * @param {*} query the SQL query.
    * @param {*} params the list of params.
+   * @returns the list of rows.
+   * @throws a DatabaseError (ConnectionError, ConstraintError, QuerySyntaxError, ...)
+   * if the query fails.
    */
   async query(query, params) {
     try {
-      const { rows } = await this.pool.query(query, params);
-      return rows;
+      return await this.driver.query(query, params);
     } catch (error) {
-      /*       fs.writeFileSync(
-        `debug/databases/${new Date().toISOString()}.json`,
-        JSON.stringify({ query: query.split("\n"), params, error }, null, 2)
-      );
- */ return [];
+      _logError(error);
+      throw error;
     }
   }
 
   /**
-   *
+   * Delete rows.
+   * @param {*} table the table name.
+   * @param {*} ids the list of ids of rows to delete.
    */
   async delete(table, ids) {
-    await this.pool.query(format(`DELETE FROM ${table} WHERE id IN (%L)`, ids));
+    const { text, params } = _valuesList([ids]);
+    await this.query(`DELETE FROM ${table} WHERE id IN ${text}`, params);
   }
 
   /**
@@ -82,45 +159,138 @@ class DatabaseService {
     debug(`insert: ${tableName} (count: ${values.length})`);
 
     const fieldString = _fieldString(fieldNames);
-    const newRows = values.map((v) => [_fieldValues(fieldNames, v)]);
+    const newRows = _valuesList(values.map((v) => _fieldValues(fieldNames, v)));
 
     const pkValues = await this.query(
-      format(
-        `
+      `
             INSERT INTO ${tableName}(${fieldString})
-            VALUES %L
+            VALUES ${newRows.text}
             ON CONFLICT DO NOTHING
             RETURNING ${pkName}
             `,
-        newRows
-      )
+      newRows.params
     );
 
     return pkValues.map((o) => o[pkName]);
   }
 
   /**
-   * Update existing rows.
+   * Insert or update rows with set-based statements (INSERT ... ON CONFLICT (pk)
+   * DO UPDATE), using multi-row VALUES split in chunks.
+   * @note: columns which are not in fieldNames must be nullable or have a default value.
+   * @note: postgres tells the inserted rows in the write itself (xmax = 0 for a new
+   * row version). SQLite can't, so the existing rows are read beforehand, which
+   * costs no round trip with an in-process database.
+   * @param {*} tableName the table name.
+   * @param {*} fieldNames the list of field names to insert/update.
+   * @param {*} pkName the name of the primary key.
+   * @param {*} values the field values as an array of objects where keys = fieldNames.
+   * @returns the number of inserted and updated rows.
+   */
+  async _bulkUpsert(tableName, fieldNames, pkName, values) {
+    const fields = typeof fieldNames === "string" ? [fieldNames] : fieldNames;
+    const insertedFields = fields.includes(pkName)
+      ? fields
+      : [pkName, ...fields];
+    const setString = insertedFields
+      .filter((f) => f !== pkName)
+      .map((f) => `${f} = EXCLUDED.${f}`)
+      .join(", ");
+    const conflictAction = setString ? `UPDATE SET ${setString}` : "NOTHING";
+
+    const rows = _lastValuePerPk(pkName, values);
+    const returnsInserted = this.driver.dialect === "postgres";
+
+    let inserted = 0;
+    let updated = 0;
+
+    for (const chunk of splitInChunks(rows, UPSERT_CHUNK_SIZE)) {
+      let existingCount;
+      if (!returnsInserted) {
+        const pkList = _valuesList([chunk.map((v) => v[pkName])]);
+        existingCount = (
+          await this.query(
+            `SELECT ${pkName} FROM ${tableName} WHERE ${pkName} IN ${pkList.text}`,
+            pkList.params
+          )
+        ).length;
+      }
+
+      const newRows = _valuesList(
+        chunk.map((v) => _fieldValues(insertedFields, v))
+      );
+      const written = await this.query(
+        `
+            INSERT INTO ${tableName}(${_fieldString(insertedFields)})
+            VALUES ${newRows.text}
+            ON CONFLICT (${pkName}) DO ${conflictAction}
+            ${returnsInserted ? "RETURNING (xmax = 0) AS inserted" : ""}
+            `,
+        newRows.params
+      );
+      if (returnsInserted) {
+        existingCount = chunk.length - written.filter((r) => r.inserted).length;
+      }
+
+      updated += existingCount;
+      inserted += chunk.length - existingCount;
+    }
+
+    return { inserted, updated };
+  }
+
+  /**
+   * Update existing rows with set-based statements (one UPDATE per chunk, each
+   * field being set with a CASE on the primary key). The other columns and the
+   * missing rows are left untouched.
    * @param {*} tableName the table name.
    * @param {*} fieldNames the list of field names to update.
+   * @param {*} pkName the name of the primary key.
    * @param {*} values the field values as an array of objects where keys = fieldNames.
+   * @returns the number of updated rows.
    */
   async update(tableName, fieldNames, pkName, values) {
-    debug(`update: ${tableName} (count: ${values.length})`);
+    const fields = (
+      typeof fieldNames === "string" ? [fieldNames] : fieldNames
+    ).filter((f) => f !== pkName);
+    const rows = fields.length > 0 ? _lastValuePerPk(pkName, values) : [];
+    let updated = 0;
 
-    const fieldString = _fieldString(fieldNames);
+    for (const chunk of splitInChunks(rows, UPSERT_CHUNK_SIZE)) {
+      // params: the pk of each row followed by its field values
+      const params = [];
+      const pkIndexes = chunk.map((v) => {
+        params.push(v[pkName], ...fields.map((f) => v[f]));
+        return params.length - fields.length;
+      });
+
+      // (the ELSE branch gives the column type to the params of the CASE)
+      const setString = fields
+        .map((f, i) => {
+          const cases = pkIndexes.map(
+            (pk) => `WHEN $${pk} THEN $${pk + i + 1}`
+          );
+          return `${f} = CASE ${pkName} ${cases.join(" ")} ELSE ${f} END`;
+        })
+        .join(", ");
+      const pkList = pkIndexes.map((pk) => `$${pk}`).join(",");
 
-    for (const value of values) {
-      const query = format(
+      const updatedPks = await this.query(
         `
-                UPDATE ${tableName}
-                   SET (${fieldString}) = %L
-                 WHERE ${pkName} = ${value[pkName]}
-                `,
-        [_fieldValues(fieldNames, value)]
+            UPDATE ${tableName}
+               SET ${setString}
+             WHERE ${pkName} IN (${pkList})
+            RETURNING ${pkName}
+            `,
+        params
       );
-      const res = await this.query(query);
+      updated += updatedPks.length;
     }
+
+    debug(
+      `update: ${tableName} (count: ${values.length}, updated: ${updated})`
+    );
+    return updated;
   }
 
   /**
@@ -130,29 +300,45 @@ class DatabaseService {
    * @param {*} pkName the name of the primary key.
    * @param {*} values the field values as an array of objects where keys = fieldNames.
    * @param {*} insertPk insert the pk value or let the database manager to generate it.
+   * @returns the number of inserted and updated rows.
    */
   async upsert(tableName, fieldNames, pkName, values, insertPk = false) {
-    debug(`upsert: ${tableName} (count: ${values.length})`);
-
-    const pkValues = await this.insert(
-      tableName,
-      insertPk ? fieldNames : fieldNames.filter((f) => f !== pkName),
-      pkName,
-      insertPk
-        ? values
-        : values.map((v) => {
-            const { [pkName]: unused, ...rest } = v;
-            return rest;
-          })
-    );
+    let inserted, updated;
+
+    if (insertPk) {
+      ({ inserted, updated } = await this._bulkUpsert(
+        tableName,
+        fieldNames,
+        pkName,
+        values
+      ));
+    } else {
+      const pkValues = await this.insert(
+        tableName,
+        fieldNames.filter((f) => f !== pkName),
+        pkName,
+        values.map((v) => {
+          const { [pkName]: unused, ...rest } = v;
+          return rest;
+        })
+      );
 
-    const updatedRows =
-      pkValues.length > 0
-        ? values.filter((v) => pkName in v && !pkValues.includes(v[pkName]))
-        : values;
+      const updatedRows =
+        pkValues.length > 0
+          ? values.filter((v) => pkName in v && !pkValues.includes(v[pkName]))
+          : values;
 
-    if (updatedRows.length > 0)
-      await this.update(tableName, fieldNames, pkName, updatedRows);
+      inserted = pkValues.length;
+      updated =
+        updatedRows.length > 0
+          ? await this.update(tableName, fieldNames, pkName, updatedRows)
+          : 0;
+    }
+
+    debug(
+      `upsert: ${tableName} (count: ${values.length}, inserted: ${inserted}, updated: ${updated})`
+    );
+    return { inserted, updated };
   }
 }
 
@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+const debug = require("debug")("database");
+
+// Folder containing the migration files, named '<version>_<name>.js'
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+/**
+ * Load the migrations of a folder.
+ * @param dir the folder containing the migration files.
+ * @returns the list of migrations ({ version, name, up, down }) ordered by version.
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) =>
+  fs
+    .readdirSync(dir)
+    .map((filename) => filename.match(/^(\d+)_(\w+)\.js$/))
+    .filter((match) => match)
+    .map(([filename, version, name]) => ({
+      version: parseInt(version),
+      name,
+      ...require(path.join(dir, filename)),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+// Table keeping track of the applied migrations
+const VERSION_TABLE = "SCHEMA_VERSION";
+
+/**
+ * Apply numbered migrations to the database schema and keep track of the
+ * applied ones in a version table (SCHEMA_VERSION by default).
+ * @note: migrations run directly on the database driver so that any error
+ * stops the migration process, each one in its own transaction.
+ */
+class Migrator {
+  /**
+   * @param dbService the database service.
+   * @param migrations the list of migrations ordered by version.
+   * @param versionTable the table keeping track of the applied migrations.
+   */
+  constructor(
+    dbService,
+    migrations = loadMigrations(),
+    versionTable = VERSION_TABLE
+  ) {
+    this.db = dbService.driver;
+    this.migrations = migrations;
+    this.versionTable = versionTable;
+  }
+
+  /**
+   * Version of the last known migration.
+   */
+  get latestVersion() {
+    return this.migrations.length > 0
+      ? this.migrations[this.migrations.length - 1].version
+      : 0;
+  }
+
+  /**
+   * Create the version table.
+   */
+  async _createVersionTable() {
+    await this.db.query(
+      `
+            CREATE TABLE IF NOT EXISTS ${this.versionTable} (
+                version    INT PRIMARY KEY,
+                name       TEXT NOT NULL,
+                applied_at TEXT NOT NULL
+            )
+            `
+    );
+  }
+
+  /**
+   * Get the current version of the database schema.
+   * @returns the version of the last applied migration (0 if none).
+   */
+  async getVersion() {
+    await this._createVersionTable();
+
+    const rows = await this.db.query(
+      `SELECT MAX(version) AS version FROM ${this.versionTable}`
+    );
+    return rows.length > 0 && rows[0].version ? parseInt(rows[0].version) : 0;
+  }
+
+  /**
+   * Get the migration status of the database.
+   * @returns the current and latest versions, with the list of pending migrations.
+   */
+  async getStatus() {
+    const version = await this.getVersion();
+    return {
+      version,
+      latestVersion: this.latestVersion,
+      pending: this.migrations
+        .filter((m) => m.version > version)
+        .map((m) => `${m.version}_${m.name}`),
+    };
+  }
+
+  /**
+   * Check that the database schema is not ahead of the code, i.e it was not
+   * migrated by a newer version of the server.
+   */
+  async checkVersion() {
+    const version = await this.getVersion();
+    if (version > this.latestVersion) {
+      throw new Error(
+        `database schema version ${version} is ahead of the code (latest migration: ${this.latestVersion})`
+      );
+    }
+  }
+
+  /**
+   * Apply the pending migrations up to a version.
+   * @param target the version to migrate to (the latest one by default).
+   * @returns the new version of the database schema.
+   */
+  async up(target = this.latestVersion) {
+    const version = await this.getVersion();
+    const migrations = this.migrations.filter(
+      (m) => m.version > version && m.version <= target
+    );
+
+    for (const migration of migrations) {
+      debug(`migration UP: ${migration.version}_${migration.name}`);
+      await this.db.transaction(async (db) => {
+        await migration.up(db);
+        await db.query(
+          `INSERT INTO ${this.versionTable}(version, name, applied_at) VALUES ($1, $2, $3)`,
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+      });
+    }
+
+    return await this.getVersion();
+  }
+
+  /**
+   * Revert the applied migrations down to a version.
+   * @param target the version to migrate to (the previous one by default).
+   * @returns the new version of the database schema.
+   */
+  async down(target) {
+    const version = await this.getVersion();
+    if (target === undefined) {
+      const previous = this.migrations.filter((m) => m.version < version);
+      target = previous.length > 0 ? previous[previous.length - 1].version : 0;
+    }
+
+    const migrations = this.migrations
+      .filter((m) => m.version <= version && m.version > target)
+      .reverse();
+
+    for (const migration of migrations) {
+      debug(`migration DOWN: ${migration.version}_${migration.name}`);
+      await this.db.transaction(async (db) => {
+        await migration.down(db);
+        await db.query(`DELETE FROM ${this.versionTable} WHERE version = $1`, [
+          migration.version,
+        ]);
+      });
+    }
+
+    return await this.getVersion();
+  }
+
+  /**
+   * Check the database schema version and apply the pending migrations.
+   */
+  async initialize() {
+    await this.checkVersion();
+    await this.up();
+  }
+}
+
+module.exports = { Migrator, loadMigrations };
@@ -1,136 +1,83 @@
 const debug = require("debug")("repository");
 const { DatabaseService } = require("./DatabaseService");
+const { Migrator } = require("./Migrator");
+const { KNOWN_SUPPLY_RARITIES, OWNERSHIP_EVENT_TYPES } = require("./constants");
+
+// id of the single row of the SYNC_STATE table
+const SYNC_STATE_ID = 1;
 
 /**
- * Manage CTA repository.
+ * Parse the raw metadata of a row (stored as JSONB by postgres, TEXT by sqlite).
+ * @param row the row read from CARD or MINT_PASS.
+ * @returns the row with its 'metadata' object instead of 'raw_metadata'.
  */
-class Repository {
-  constructor() {
-    this.dbService = new DatabaseService();
-  }
-
-  /**
-   * Create the database schema.
-   * @note: use 'IF NOT EXISTS' clause to avoid errors while trying to create the schema.
-   */
-  async _createSchema() {
-    // UPDATE_HISTORY Table
-    await this.dbService.query(
-      `
-            CREATE TABLE IF NOT EXISTS UPDATE_HISTORY (
-                id                   SERIAL PRIMARY KEY,
-                update_timestamp     TEXT NOT NULL,
-                last_asset_timestamp TEXT NOT NULL,
-                assets_count         INT
-            )
-            `
-    );
-
-    // ELEMENT Table
-    await this.dbService.query(
-      `
-            CREATE TABLE IF NOT EXISTS ELEMENT (
-                id   SERIAL PRIMARY KEY,
-                name TEXT NOT NULL UNIQUE
-            )
-            `
-    );
-
-    // RARITY Table
-    await this.dbService.query(
-      `
-            CREATE TABLE IF NOT EXISTS RARITY (
-                id   SERIAL PRIMARY KEY,
-                name TEXT NOT NULL UNIQUE
-            )
-            `
-    );
+const _withMetadata = ({ raw_metadata, ...row }) => ({
+  ...row,
+  metadata:
+    typeof raw_metadata === "string" ? JSON.parse(raw_metadata) : raw_metadata,
+});
 
-    // FAMILY Table
-    await this.dbService.query(
-      `
-            CREATE TABLE IF NOT EXISTS FAMILY (
-                id   SERIAL PRIMARY KEY,
-                name TEXT NOT NULL UNIQUE
-            )
-            `
-    );
+// columns of the card collection filters, by filter name
+const COLLECTION_FILTER_COLUMNS = {
+  element: "a.name",
+  rarity: "r.name",
+  family: "f.name",
+  advancement: "m.advancement",
+  cardType: "m.card_type",
+};
 
-    // CTA_USER Table
-    await this.dbService.query(
-      `
-            CREATE TABLE IF NOT EXISTS CTA_USER (
-                id      SERIAL PRIMARY KEY,
-                address TEXT NOT NULL UNIQUE
-            )
-            `
-    );
+// columns used to sort the card collection, by sort key
+const COLLECTION_SORT_COLUMNS = {
+  id: "m.id",
+  name: "m.name",
+  element: "a.name",
+  rarity: `CASE r.name ${KNOWN_SUPPLY_RARITIES.map(
+    (rarity, i) => `WHEN '${rarity}' THEN ${i}`
+  ).join(" ")} ELSE ${KNOWN_SUPPLY_RARITIES.length} END`,
+  family: "f.name",
+};
 
-    // CARD_META Table
-    await this.dbService.query(
-      `
-            CREATE TABLE IF NOT EXISTS CARD_META (
-                id          INT PRIMARY KEY,
-                name        TEXT,
-                description TEXT,
-                image_url   TEXT,
-                advancement TEXT,
-                card_type   TEXT,
-
-                element_id INT REFERENCES ELEMENT(id),
-                rarity_id  INT REFERENCES RARITY(id),
-                family_id  INT REFERENCES FAMILY(id)
-            )
-            `
-    );
+// tables joined to the cards of a user, and their meta card columns
+const USER_CARD_JOINS = `FROM CARD c
+              JOIN CTA_USER u ON u.id = c.user_id
+              JOIN CARD_META m ON m.id = c.card_meta_id
+              JOIN ELEMENT a ON a.id = m.element_id
+              JOIN RARITY r ON r.id = m.rarity_id
+              JOIN FAMILY f ON f.id = m.family_id`;
+const USER_CARD_META_COLUMNS = `m.name, m.image_url, m.advancement, m.card_type,
+                   a.name AS element, r.name AS rarity, f.name AS family`;
 
-    // CARD Table
-    await this.dbService.query(
-      `
-            CREATE TABLE IF NOT EXISTS CARD (
-                id         INT PRIMARY KEY,
-                foil       INT,
-                rank       INT,
-                grade      TEXT,
-                animationLevel INT,
-                numbering  INT,
-                power      INT,
-                created_at TEXT,
-                updated_at TEXT,
-
-                card_meta_id INT REFERENCES CARD_META(id),
-                user_id      INT REFERENCES CTA_USER(id) 
-            )
-            `
-    );
+// columns of the dimensions used to roll up the collection statistics
+const STATS_GROUP_COLUMNS = {
+  foil: "c.foil",
+  element: "a.name",
+  rarity: "r.name",
+  family: "f.name",
+  advancement: "mc.advancement",
+};
 
-    // MINT PASS TYPE Table
-    await this.dbService.query(
-      `
-            CREATE TABLE IF NOT EXISTS MINT_PASS_TYPE (
-                id          SERIAL PRIMARY KEY,
-                pass_type   TEXT,
-                name        TEXT,
-                description TEXT,
-                image_url   TEXT
-            )
-            `
-    );
+// columns used to sort users, by sort key
+const USER_SORT_COLUMNS = {
+  cards: "card_count",
+  foils: "foil_count",
+  mythics: "mythic_count",
+  mintPasses: "mint_pass_count",
+};
 
-    // MINT PASS Table
-    await this.dbService.query(
-      `
-            CREATE TABLE IF NOT EXISTS MINT_PASS (
-                id         INT PRIMARY KEY,
-                numbering  INT,
-                created_at TEXT,
-                updated_at TEXT,
+/**
+ * Generate the list of query placeholders ($1, $2, ...) for a list of values.
+ * @param values the list of values.
+ * @param offset number of placeholders already used in the query.
+ */
+const _placeholders = (values, offset = 0) =>
+  values.map((v, i) => `$${offset + i + 1}`).join(", ");
 
-                mint_pass_type_id INT REFERENCES MINT_PASS_TYPE(id),
-                user_id           INT REFERENCES CTA_USER(id) 
-            )
-            `
-    );
+/**
+ * Manage CTA repository.
+ */
+class Repository {
+  constructor() {
+    this.dbService = new DatabaseService();
   }
 
   /**
@@ -225,6 +172,78 @@ class Repository {
     return rows.length > 0 ? rows[0].last_asset_timestamp : undefined;
   }
 
+  /**
+   * Get the state of the IMX sync stored by the last update.
+   * Fallback on the update history for databases filled before the sync state
+   * was stored.
+   * @returns the sync state (cursor and its updated_min_timestamp filter, last
+   * asset timestamp, last token id) or undefined.
+   */
+  async readSyncState() {
+    const rows = await this.dbService.query(
+      `
+            SELECT last_cursor,
+                   cursor_updated_min_timestamp,
+                   last_asset_timestamp,
+                   last_token_id
+              FROM SYNC_STATE
+             WHERE id = $1
+            `,
+      [SYNC_STATE_ID]
+    );
+
+    if (rows.length > 0) {
+      return {
+        cursor: rows[0].last_cursor,
+        cursorUpdatedMinTimestamp: rows[0].cursor_updated_min_timestamp,
+        lastAssetTimestamp: rows[0].last_asset_timestamp,
+        lastTokenId: rows[0].last_token_id,
+      };
+    }
+
+    const lastAssetTimestamp = await this.readLastAssetTimestamp();
+    return lastAssetTimestamp && { lastAssetTimestamp };
+  }
+
+  /**
+   * Store the state of the IMX sync.
+   * @param cursor the IMX cursor of the last retrieved page.
+   * @param cursorUpdatedMinTimestamp the updated_min_timestamp filter of the
+   * requests the cursor comes from (undefined if none).
+   * @param lastAssetTimestamp update timestamp of the last stored asset.
+   * @param lastTokenId token id of the last stored asset.
+   */
+  async saveSyncState({
+    cursor,
+    cursorUpdatedMinTimestamp,
+    lastAssetTimestamp,
+    lastTokenId,
+  }) {
+    await this.dbService.upsert(
+      "SYNC_STATE",
+      [
+        "id",
+        "last_cursor",
+        "cursor_updated_min_timestamp",
+        "last_asset_timestamp",
+        "last_token_id",
+        "updated_at",
+      ],
+      "id",
+      [
+        {
+          id: SYNC_STATE_ID,
+          last_cursor: cursor,
+          cursor_updated_min_timestamp: cursorUpdatedMinTimestamp,
+          last_asset_timestamp: lastAssetTimestamp,
+          last_token_id: lastTokenId,
+          updated_at: new Date().toISOString(),
+        },
+      ],
+      true
+    );
+  }
+
   /**
    *
    */
@@ -237,7 +256,129 @@ class Repository {
                LIMIT 1
             `
     );
-    return rows[0].update_timestamp;
+    return rows[0]?.update_timestamp;
+  }
+
+  /**
+   * Get the timestamp of the last snapshot of the minted supply.
+   * @returns the snapshot timestamp or undefined.
+   */
+  async readLastSupplySnapshotTimestamp() {
+    const rows = await this.dbService.query(
+      `
+            SELECT MAX(snapshot_timestamp) AS snapshot_timestamp
+              FROM SUPPLY_SNAPSHOT
+            `
+    );
+    return rows[0]?.snapshot_timestamp || undefined;
+  }
+
+  /**
+   * Record a snapshot of the minted supply: card counts per meta card, foil
+   * and rank/grade, and mint pass counts per mint pass type (burned cards and
+   * redeemed mint passes included).
+   * @param timestamp the snapshot timestamp.
+   */
+  async recordSupplySnapshot(timestamp) {
+    await this.dbService.query(
+      `
+            INSERT INTO SUPPLY_SNAPSHOT(snapshot_timestamp, card_meta_id, foil, rank, grade, count)
+            SELECT $1, c.card_meta_id, c.foil, c.rank, c.grade, COUNT(c.id)
+              FROM CARD c
+          GROUP BY c.card_meta_id, c.foil, c.rank, c.grade
+            `,
+      [timestamp]
+    );
+    await this.dbService.query(
+      `
+            INSERT INTO SUPPLY_SNAPSHOT(snapshot_timestamp, mint_pass_type_id, count)
+            SELECT $1, p.mint_pass_type_id, COUNT(p.id)
+              FROM MINT_PASS p
+          GROUP BY p.mint_pass_type_id
+            `,
+      [timestamp]
+    );
+  }
+
+  /**
+   * Get the redemptions (burns) of mint passes up to a timestamp.
+   * @param passType optional mint pass type (all the types if missing).
+   * @param to end timestamp of the time range.
+   * @returns the burn timestamps ordered by time, and the number of minted passes.
+   */
+  async getMintPassRedemptions(passType, to) {
+    const params = [];
+    let where = "1 = 1";
+    if (passType !== undefined) {
+      params.push(passType);
+      where = `t.pass_type = $${params.length}`;
+    }
+
+    const minted = await this.dbService.query(
+      `
+            SELECT COUNT(p.id) AS count
+              FROM MINT_PASS p
+              JOIN MINT_PASS_TYPE t ON t.id = p.mint_pass_type_id
+             WHERE ${where}
+            `,
+      params
+    );
+    const rows = await this.dbService.query(
+      `
+            SELECT p.burned_at
+              FROM MINT_PASS p
+              JOIN MINT_PASS_TYPE t ON t.id = p.mint_pass_type_id
+             WHERE ${where}
+               AND p.burned_at IS NOT NULL
+               AND p.burned_at <= $${params.length + 1}
+          ORDER BY p.burned_at
+            `,
+      [...params, to]
+    );
+
+    return {
+      mintedCount: parseInt(minted[0].count),
+      burns: rows.map((row) => row.burned_at),
+    };
+  }
+
+  /**
+   * Get the minted supply of a meta card or a rarity at each snapshot of a time range.
+   * @param cardId optional meta card id.
+   * @param rarity optional rarity name (ignored if a card id is given).
+   * @param from start timestamp of the time range.
+   * @param to end timestamp of the time range.
+   * @returns the card counts ({ snapshot_timestamp, foil, count }) ordered by snapshot.
+   */
+  async getSupplyHistory({ cardId, rarity, from, to }) {
+    const params = [from, to];
+    let where = "s.card_meta_id IS NOT NULL";
+    if (cardId !== undefined) {
+      params.push(cardId);
+      where = `s.card_meta_id = $${params.length}`;
+    } else if (rarity !== undefined) {
+      params.push(rarity.toUpperCase());
+      where = `r.name = $${params.length}`;
+    }
+
+    const rows = await this.dbService.query(
+      `
+            SELECT s.snapshot_timestamp,
+                   s.foil,
+                   SUM(s.count) AS count
+              FROM SUPPLY_SNAPSHOT s
+              JOIN CARD_META m ON m.id = s.card_meta_id
+              JOIN RARITY r ON r.id = m.rarity_id
+             WHERE s.snapshot_timestamp >= $1
+               AND s.snapshot_timestamp <= $2
+               AND ${where}
+          GROUP BY s.snapshot_timestamp, s.foil
+          ORDER BY s.snapshot_timestamp, s.foil
+            `,
+      params
+    );
+
+    return rows.map((row) => ({ ...row, count: parseInt(row.count) }));
   }
 
   /**
@@ -347,6 +488,7 @@ class Repository {
       ...c,
       foil: c.foil ? 1 : 0,
       power: c.power,
+      raw_metadata: c.metadata,
       card_meta_id: c.card_meta_id,
       user_id: users.get(c.user),
     }));
@@ -361,6 +503,9 @@ class Repository {
         "animationLevel",
         "numbering",
         "power",
+        "potential",
+        "status",
+        "raw_metadata",
         "created_at",
         "updated_at",
         "card_meta_id",
@@ -414,6 +559,7 @@ class Repository {
       ...r,
       mint_pass_type_id: existingPassTypes.get(r.passType),
       user_id: users.get(r.user),
+      raw_metadata: r.metadata,
     }));
 
     await this.dbService.upsert(
@@ -421,6 +567,7 @@ class Repository {
       [
         "id",
         "numbering",
+        "raw_metadata",
         "created_at",
         "updated_at",
         "mint_pass_type_id",
@@ -433,23 +580,255 @@ class Repository {
   }
 
   /**
-   *
+   * Mark mint passes as burned (i.e redeemed), keeping their last owner.
+   * Mint passes burned before being stored are inserted without owner.
+   * @param passes the burned mint passes ({ id, passType, numbering, metadata,
+   * created_at, updated_at, burnedAt }).
    */
-  async burnPasses(passIds) {
-    if (passIds.length > 0) {
-      debug(`mint pass BURNED: [${passIds.join(", ")}]`);
-      await this.dbService.delete("MINT_PASS", passIds);
-    }
+  async burnPasses(passes) {
+    if (passes.length <= 0) return;
+
+    debug(`mint pass BURNED: [${passes.map((p) => p.id).join(", ")}]`);
+    const existingPassTypes = await this._read_mint_pass_types();
+
+    const rows = passes.map((p) => ({
+      ...p,
+      mint_pass_type_id: existingPassTypes.get(p.passType),
+      raw_metadata: p.metadata,
+      burned_at: p.burnedAt,
+    }));
+
+    await this.dbService.upsert(
+      "MINT_PASS",
+      [
+        "id",
+        "numbering",
+        "raw_metadata",
+        "created_at",
+        "updated_at",
+        "mint_pass_type_id",
+        "burned_at",
+      ],
+      "id",
+      rows,
+      true
+    );
   }
 
   /**
-   *
+   * Mark cards as burned, keeping their last owner so that they still count
+   * in the minted supply. Cards burned before being stored are inserted without owner.
+   * @param cards the burned cards (card fields, see updateCards, and burnedAt).
    */
-  async burnCards(cardIds) {
-    if (cardIds.length > 0) {
-      debug(`cards BURNED: [${cardIds.join(", ")}]`);
-      await this.dbService.delete("CARD", cardIds);
-    }
+  async burnCards(cards) {
+    if (cards.length <= 0) return;
+
+    debug(`cards BURNED: [${cards.map((c) => c.id).join(", ")}]`);
+
+    const rows = cards.map((c) => ({
+      ...c,
+      foil: c.foil ? 1 : 0,
+      raw_metadata: c.metadata,
+      burned_at: c.burnedAt,
+    }));
+
+    await this.dbService.upsert(
+      "CARD",
+      [
+        "id",
+        "foil",
+        "rank",
+        "grade",
+        "animationLevel",
+        "numbering",
+        "power",
+        "potential",
+        "status",
+        "raw_metadata",
+        "created_at",
+        "updated_at",
+        "card_meta_id",
+        "burned_at",
+      ],
+      "id",
+      rows,
+      true
+    );
+  }
+
+  /**
+   * Get the current owners of a list of cards.
+   * @param cardIds the card ids.
+   * @returns a Map (card id => { address, card_meta_id, burned_at }) of the
+   * stored cards (the last owner of the burned cards).
+   */
+  async getCardOwners(cardIds) {
+    if (cardIds.length <= 0) return new Map();
+
+    const rows = await this.dbService.query(
+      `
+            SELECT c.id, c.card_meta_id, c.burned_at, u.address
+              FROM CARD c
+         LEFT JOIN CTA_USER u ON u.id = c.user_id
+             WHERE c.id IN (${_placeholders(cardIds)})
+            `,
+      cardIds
+    );
+    return new Map(
+      rows.map((r) => [
+        r.id,
+        {
+          address: r.address,
+          card_meta_id: r.card_meta_id,
+          burned_at: r.burned_at,
+        },
+      ])
+    );
+  }
+
+  /**
+   * Get the stored meta cards of a list of meta card ids.
+   * @param ids the meta card ids.
+   * @returns the set of the stored meta card ids.
+   */
+  async getMetaCardIds(ids) {
+    if (ids.length <= 0) return new Set();
+
+    const rows = await this.dbService.query(
+      `SELECT id FROM CARD_META WHERE id IN (${_placeholders(ids)})`,
+      ids
+    );
+    return new Set(rows.map((r) => parseInt(r.id)));
+  }
+
+  /**
+   * Get the stored users of a list of addresses.
+   * @param addresses IMX wallet addresses.
+   * @returns the set of the stored user addresses.
+   */
+  async getUserAddresses(addresses) {
+    if (addresses.length <= 0) return new Set();
+
+    const rows = await this.dbService.query(
+      `
+            SELECT address
+              FROM CTA_USER
+             WHERE address IN (${_placeholders(addresses)})
+            `,
+      addresses
+    );
+    return new Set(rows.map((r) => r.address));
+  }
+
+  /**
+   * Count the minted cards (burned ones included) of a list of meta cards.
+   * @param ids the meta card ids.
+   * @returns the card counts per meta card and foil.
+   */
+  async getMintedCounts(ids) {
+    if (ids.length <= 0) return [];
+
+    const rows = await this.dbService.query(
+      `
+            SELECT c.card_meta_id, c.foil, COUNT(c.id) AS count
+              FROM CARD c
+             WHERE c.card_meta_id IN (${_placeholders(ids)})
+          GROUP BY c.card_meta_id, c.foil
+            `,
+      ids
+    );
+    return rows.map((row) => ({ ...row, count: parseInt(row.count) }));
+  }
+
+  /**
+   * Get the current owners of a list of mint passes.
+   * @param passIds the mint pass ids.
+   * @returns the owner address and burn timestamp by mint pass id.
+   */
+  async getMintPassOwners(passIds) {
+    if (passIds.length <= 0) return new Map();
+
+    const rows = await this.dbService.query(
+      `
+            SELECT p.id, p.burned_at, u.address
+              FROM MINT_PASS p
+         LEFT JOIN CTA_USER u ON u.id = p.user_id
+             WHERE p.id IN (${_placeholders(passIds)})
+            `,
+      passIds
+    );
+    return new Map(
+      rows.map((r) => [r.id, { address: r.address, burned_at: r.burned_at }])
+    );
+  }
+
+  /**
+   * Store mint pass lifecycle events.
+   * @param events list of events ({ passId, passType, type, timestamp, from, to }).
+   */
+  async recordMintPassEvents(events) {
+    if (events.length <= 0) return;
+
+    const users = await this._read_users();
+    const passTypes = await this._read_mint_pass_types();
+
+    const rows = events.map((e) => ({
+      mint_pass_id: e.passId,
+      mint_pass_type_id: passTypes.get(e.passType),
+      event_type: e.type,
+      event_timestamp: e.timestamp,
+      from_user_id: e.from && users.get(e.from),
+      to_user_id: e.to && users.get(e.to),
+    }));
+
+    await this.dbService.insert(
+      "MINT_PASS_EVENT",
+      [
+        "mint_pass_id",
+        "mint_pass_type_id",
+        "event_type",
+        "event_timestamp",
+        "from_user_id",
+        "to_user_id",
+      ],
+      "id",
+      rows
+    );
+    debug(`mint pass events RECORDED: ${events.length}`);
+  }
+
+  /**
+   * Store card ownership events.
+   * @param events list of events ({ cardId, cardMetaId, type, timestamp, from, to }).
+   */
+  async recordOwnershipEvents(events) {
+    if (events.length <= 0) return;
+
+    const users = await this._read_users();
+
+    const rows = events.map((e) => ({
+      card_id: e.cardId,
+      card_meta_id: e.cardMetaId,
+      event_type: e.type,
+      event_timestamp: e.timestamp,
+      from_user_id: e.from && users.get(e.from),
+      to_user_id: e.to && users.get(e.to),
+    }));
+
+    await this.dbService.insert(
+      "CARD_OWNERSHIP_EVENT",
+      [
+        "card_id",
+        "card_meta_id",
+        "event_type",
+        "event_timestamp",
+        "from_user_id",
+        "to_user_id",
+      ],
+      "id",
+      rows
+    );
+    debug(`ownership events RECORDED: ${events.length}`);
   }
 
   /**
@@ -478,11 +857,24 @@ class Repository {
   }
 
   /**
-   * Initialize the database.
+   * Execute repository operations in a single database transaction.
+   * @param callback async function receiving a repository bound to the transaction.
+   * @returns the callback result.
    */
-  async initialize() {
-    await this.dbService.initialize();
-    await this._createSchema();
+  async transaction(callback) {
+    return await this.dbService.transaction(async (dbService) => {
+      const repository = Object.create(this);
+      repository.dbService = dbService;
+      return await callback(repository);
+    });
+  }
+
+  /**
+   * Initialize the database.
+   */
+  async initialize() {
+    await this.dbService.initialize();
+    await new Migrator(this.dbService).initialize();
   }
 
   /**
@@ -516,17 +908,23 @@ class Repository {
     await this.updateMintPasses(mintPasses);
   }
 
-  async burn({ passIds, cardIds }) {
-    await this.burnPasses(passIds);
-    await this.burnCards(cardIds);
+  /**
+   * Burn assets.
+   * @param passes the burned mint passes (see burnPasses).
+   * @param cards the burned cards (see burnCards).
+   */
+  async burn({ passes, cards }) {
+    await this.burnPasses(passes);
+    await this.burnCards(cards);
   }
 
   /**
    * Extract some statistics of the CTA collection.
-   * @param separateFoil indicates if foil cards have to be counted separately.
+   * @param groupBy optional dimensions ('foil', 'element', 'rarity', 'family',
+   * 'advancement') of the card counts rolled up per group.
    * @returns the statistics.
    */
-  async getCollectionStats() {
+  async getCollectionStats(groupBy = []) {
     const _query = (_rankOrGrade, where) =>
       `
             SELECT mc.id, 
@@ -536,8 +934,10 @@ class Repository {
                    mc.advancement,
                    a.name                  AS element,
                    r.name                  AS rarity,
+                   f.name                  AS family,
                    ${_rankOrGrade},
                    COUNT(c.id)             AS count,
+                   COUNT(c.burned_at)      AS burned_count,
                    MIN(c.numbering)        AS min_number,
                    MAX(c.numbering)        AS max_number,
                    mc.card_type
@@ -545,8 +945,9 @@ class Repository {
             JOIN CARD_META mc ON mc.id = c.card_meta_id
             JOIN ELEMENT a ON a.id = mc.element_id
             JOIN RARITY r ON r.id = mc.rarity_id
+            LEFT JOIN FAMILY f ON f.id = mc.family_id
             WHERE ${where}
-            GROUP BY mc.id, c.foil, ${_rankOrGrade}, a.name, r.name, mc.card_type
+            GROUP BY mc.id, c.foil, ${_rankOrGrade}, a.name, r.name, f.name, mc.card_type
             ORDER BY mc.id, c.foil, ${_rankOrGrade}
             `;
 
@@ -560,7 +961,9 @@ class Repository {
       `
             SELECT mt.id, 
                    mt.name,
-                   COUNT(p.id) AS count,
+                   SUM(CASE WHEN p.burned_at IS NULL THEN 1 ELSE 0 END) AS count,
+                   COUNT(p.id) AS minted_count,
+                   COUNT(p.burned_at) AS redeemed_count,
                    MIN(p.numbering) AS min_number,
                    MAX(p.numbering) AS max_number
             FROM MINT_PASS p
@@ -570,36 +973,273 @@ class Repository {
             `
     );
 
-    return { stdCards, altCards, mintPasses };
+    const potentials = await this.dbService.query(
+      `
+            SELECT c.card_meta_id AS id,
+                   c.foil,
+                   c.potential,
+                   COUNT(c.id) AS count
+            FROM CARD c
+            WHERE c.potential IS NOT NULL
+            GROUP BY c.card_meta_id, c.foil, c.potential
+            ORDER BY c.card_meta_id, c.foil, c.potential
+            `
+    );
+    const groups =
+      groupBy.length > 0 ? await this._getStatsGroups(groupBy) : [];
+
+    return { stdCards, altCards, mintPasses, potentials, groups };
+  }
+
+  /**
+   * Roll up the card counts per group of dimensions.
+   * @param groupBy the dimensions of the groups (keys of STATS_GROUP_COLUMNS).
+   * @returns the minted and burned card counts ({ ...dimensions, count,
+   * foil_count, burned_count, burned_foil_count }) per group.
+   */
+  async _getStatsGroups(groupBy) {
+    const columns = groupBy.map((d) => STATS_GROUP_COLUMNS[d]);
+    const rows = await this.dbService.query(
+      `
+            SELECT ${columns.map((c, i) => `${c} AS ${groupBy[i]}`).join(", ")},
+                   COUNT(c.id)  AS count,
+                   SUM(c.foil)  AS foil_count,
+                   COUNT(c.burned_at) AS burned_count,
+                   SUM(CASE WHEN c.burned_at IS NULL THEN 0 ELSE c.foil END) AS burned_foil_count
+            FROM CARD c
+            JOIN CARD_META mc ON mc.id = c.card_meta_id
+            JOIN ELEMENT a ON a.id = mc.element_id
+            JOIN RARITY r ON r.id = mc.rarity_id
+            LEFT JOIN FAMILY f ON f.id = mc.family_id
+            GROUP BY ${columns.join(", ")}
+            ORDER BY ${columns.join(", ")}
+            `
+    );
+
+    return rows.map((row) => ({
+      ...row,
+      count: parseInt(row.count),
+      foil_count: parseInt(row.foil_count) || 0,
+      burned_count: parseInt(row.burned_count),
+      burned_foil_count: parseInt(row.burned_foil_count) || 0,
+    }));
   }
 
   /**
-   * Get the full user card collection.
+   * Get the user card collection.
    * @param address IMX wallet address of the user.
-   * @returns the full user collection.
+   * @param filters optional filters: lists of values for element, rarity, family,
+   * advancement and cardType, text search on name/description and foil flag.
+   * @param expand indicates if the meta card data is joined to each card.
+   * @param pageIndex index of the page (starting at 0).
+   * @param pageSize optional number of cards per page (all the cards if missing).
+   * @returns the page of cards matching the filters.
    */
-  async getUserCollection(address) {
-    const rows = this.dbService.query(
+  async getUserCollection(
+    address,
+    { filters = {}, expand = false, pageIndex = 0, pageSize } = {}
+  ) {
+    const { where, params } = this._userCollectionWhere(address, filters);
+
+    let page = "";
+    if (pageSize !== undefined) {
+      params.push(pageSize, pageIndex * pageSize);
+      page = `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    }
+
+    const rows = await this.dbService.query(
       `
-            SELECT c.id, c.foil, c.rank, c.numbering, c.power, c.card_meta_id
-              FROM CARD c
-              JOIN CTA_USER u ON u.id = c.user_id
-             WHERE u.address = $1
+            SELECT c.id, c.foil, c.rank, c.grade, c.animationLevel AS animation_level,
+                   c.numbering, c.power, c.potential, c.status, c.raw_metadata,
+                   c.card_meta_id${expand ? `, ${USER_CARD_META_COLUMNS}` : ""}
+              ${USER_CARD_JOINS}
+             WHERE ${where}
+          ORDER BY c.card_meta_id, c.id
+             ${page}
              `,
+      params
+    );
+    return rows.map(_withMetadata);
+  }
+
+  /**
+   * Count the cards of a user.
+   * @param address IMX wallet address of the user.
+   * @param filters optional filters (see getUserCollection).
+   * @returns the number of cards matching the filters.
+   */
+  async countUserCards(address, filters = {}) {
+    const { where, params } = this._userCollectionWhere(address, filters);
+
+    const rows = await this.dbService.query(
+      `SELECT COUNT(c.id) AS count ${USER_CARD_JOINS} WHERE ${where}`,
+      params
+    );
+    return parseInt(rows[0].count);
+  }
+
+  /**
+   * Count the cards of a user per meta card, foil and rank/grade.
+   * @param address IMX wallet address of the user.
+   * @param filters optional filters (see getUserCollection).
+   * @returns the card counts with the meta card data, ordered by meta card.
+   */
+  async getUserCollectionGroups(address, filters = {}) {
+    const { where, params } = this._userCollectionWhere(address, filters);
+
+    const rows = await this.dbService.query(
+      `
+            SELECT c.card_meta_id, ${USER_CARD_META_COLUMNS},
+                   c.foil, c.rank, c.grade, COUNT(c.id) AS count
+              ${USER_CARD_JOINS}
+             WHERE ${where}
+          GROUP BY c.card_meta_id, m.name, m.image_url, m.advancement, m.card_type,
+                   a.name, r.name, f.name, c.foil, c.rank, c.grade
+          ORDER BY c.card_meta_id, c.foil, c.rank, c.grade
+            `,
+      params
+    );
+
+    return rows.map((row) => ({ ...row, count: parseInt(row.count) }));
+  }
+
+  /**
+   * Count the cards of a user for each meta card of the collection, including
+   * the meta cards the user doesn't own.
+   * @param address IMX wallet address of the user.
+   * @returns the meta cards with the user card counts (count and foil_count).
+   */
+  async getUserMetaCardCounts(address) {
+    const rows = await this.dbService.query(
+      `
+            SELECT m.id, m.name, m.advancement, a.name AS element,
+                   r.name AS rarity, f.name AS family,
+                   COUNT(c.id) AS count,
+                   SUM(c.foil) AS foil_count
+              FROM CARD_META m
+              JOIN ELEMENT a ON a.id = m.element_id
+              JOIN RARITY r ON r.id = m.rarity_id
+              JOIN FAMILY f ON f.id = m.family_id
+         LEFT JOIN (SELECT c.id, c.foil, c.card_meta_id
+                      FROM CARD c
+                      JOIN CTA_USER u ON u.id = c.user_id
+                     WHERE u.address = $1
+                       AND c.burned_at IS NULL) c ON c.card_meta_id = m.id
+          GROUP BY m.id, m.name, m.advancement, a.name, r.name, f.name
+          ORDER BY m.id
+            `,
       [address]
     );
-    return rows;
+
+    return rows.map((row) => ({
+      ...row,
+      count: parseInt(row.count),
+      foil_count: parseInt(row.foil_count) || 0,
+    }));
+  }
+
+  /**
+   * Count the cards of several users per meta card.
+   * @param addresses IMX wallet addresses of the users.
+   * @returns the card counts (count and foil_count) per user address and meta card.
+   */
+  async getUsersCardCounts(addresses) {
+    if (addresses.length <= 0) return [];
+
+    const rows = await this.dbService.query(
+      `
+            SELECT u.address, c.card_meta_id, ${USER_CARD_META_COLUMNS},
+                   COUNT(c.id) AS count,
+                   SUM(c.foil) AS foil_count
+              ${USER_CARD_JOINS}
+             WHERE u.address IN (${_placeholders(addresses)})
+               AND c.burned_at IS NULL
+          GROUP BY u.address, c.card_meta_id, m.name, m.image_url, m.advancement,
+                   m.card_type, a.name, r.name, f.name
+          ORDER BY c.card_meta_id, u.address
+            `,
+      addresses
+    );
+
+    return rows.map((row) => ({
+      ...row,
+      count: parseInt(row.count),
+      foil_count: parseInt(row.foil_count) || 0,
+    }));
+  }
+
+  /**
+   * Count the cards of each user per kind of card (meta card, foil, rank and
+   * grade), as needed to score the users.
+   * @returns the card counts per user address and kind of card.
+   */
+  async getUsersScoringCounts() {
+    const rows = await this.dbService.query(
+      `
+            SELECT u.address, m.id, m.name AS card_name, r.name AS rarity,
+                   f.name AS family, m.advancement, c.foil, c.rank, c.grade,
+                   COUNT(c.id) AS count
+              FROM CARD c
+              JOIN CTA_USER u ON u.id = c.user_id
+              JOIN CARD_META m ON m.id = c.card_meta_id
+              JOIN RARITY r ON r.id = m.rarity_id
+              JOIN FAMILY f ON f.id = m.family_id
+             WHERE c.burned_at IS NULL
+          GROUP BY u.address, m.id, m.name, r.name, f.name, m.advancement, c.foil,
+                   c.rank, c.grade
+            `
+    );
+    return rows.map((row) => ({ ...row, count: parseInt(row.count) }));
+  }
+
+  /**
+   * Count the mint passes of each user.
+   * @returns the mint pass counts per user address.
+   */
+  async getUsersMintPassCounts() {
+    const rows = await this.dbService.query(
+      `
+            SELECT u.address, COUNT(p.id) AS count
+              FROM MINT_PASS p
+              JOIN CTA_USER u ON u.id = p.user_id
+             WHERE p.burned_at IS NULL
+          GROUP BY u.address
+            `
+    );
+    return rows.map((row) => ({ ...row, count: parseInt(row.count) }));
+  }
+
+  /**
+   * Build the WHERE clause of the user collection filters.
+   * @param address IMX wallet address of the user.
+   * @param filters the collection filters, and an optional foil flag.
+   * @returns the WHERE clause and its params.
+   */
+  _userCollectionWhere(address, filters) {
+    const { where, params } = this._collectionWhere(filters);
+    const conditions = [where, "c.burned_at IS NULL"];
+
+    params.push(address);
+    conditions.push(`u.address = $${params.length}`);
+
+    if (filters.foil !== undefined) {
+      params.push(filters.foil ? 1 : 0);
+      conditions.push(`c.foil = $${params.length}`);
+    }
+
+    return { where: conditions.join(" AND "), params };
   }
 
   async getUserInfo(address) {
     const rows = await this.dbService.query(
       `
-      SELECT r.name, m.advancement, c.foil, count(*)
+      SELECT r.name, m.advancement, c.foil, count(*) AS count
         FROM CARD c
         JOIN CARD_META m ON m.id = c.card_meta_id
         JOIN RARITY r ON r.id = m.rarity_id
         JOIN CTA_USER u ON u.id = c.user_id
         WHERE u.address = $1
+          AND c.burned_at IS NULL
         GROUP BY r.name, m.advancement, c.foil
       `,
       [address]
@@ -624,11 +1264,52 @@ class Repository {
   }
 
   /**
-   * Get the full card collection.
-   * @returns the full card collection.
+   * Build the WHERE clause of the card collection filters.
+   * @param filters the filters (lists of values by filter name, and text search).
+   * @param excludedFilter optional filter to ignore (used to count facet values).
+   * @returns the WHERE clause and its params.
+   */
+  _collectionWhere(filters, excludedFilter) {
+    const params = [];
+    const conditions = ["1 = 1"];
+
+    Object.entries(COLLECTION_FILTER_COLUMNS)
+      .filter(([name]) => name !== excludedFilter && filters[name]?.length > 0)
+      .forEach(([name, column]) => {
+        const values = filters[name].map((v) => v.toUpperCase());
+        conditions.push(
+          `UPPER(${column}) IN (${_placeholders(values, params.length)})`
+        );
+        params.push(...values);
+      });
+
+    if (filters.search) {
+      // escape LIKE wildcards to search the text as is
+      params.push(
+        `%${filters.search.toLowerCase().replace(/[\\%_]/g, "\\$&")}%`
+      );
+      conditions.push(
+        `(LOWER(m.name) LIKE $${params.length} ESCAPE '\\'
+          OR LOWER(m.description) LIKE $${params.length} ESCAPE '\\')`
+      );
+    }
+
+    return { where: conditions.join(" AND "), params };
+  }
+
+  /**
+   * Get the card collection.
+   * @param filters optional filters: lists of values for element, rarity, family,
+   * advancement and cardType, and a case-insensitive text search on name/description.
+   * @param sort the sort key ('id', 'name', 'element', 'rarity' or 'family').
+   * @param order the sort order ('asc' or 'desc').
+   * @returns the cards of the collection matching the filters.
    */
-  async getCardCollection() {
-    const rows = this.dbService.query(
+  async getCardCollection(filters = {}, sort = "id", order = "asc") {
+    const { where, params } = this._collectionWhere(filters);
+    const direction = order === "desc" ? "DESC" : "ASC";
+
+    const rows = await this.dbService.query(
       `
             SELECT m.id,
                    m.name,
@@ -643,12 +1324,58 @@ class Repository {
               JOIN ELEMENT a ON a.id = m.element_id
               JOIN RARITY r ON r.id = m.rarity_id
               JOIN FAMILY f ON f.id = m.family_id
-              ORDER BY m.id
-            `
+             WHERE ${where}
+              ORDER BY ${COLLECTION_SORT_COLUMNS[sort]} ${direction}, m.id
+            `,
+      params
     );
     return rows;
   }
 
+  /**
+   * Count the cards of the collection per facet value. The count of a facet
+   * applies all the filters but its own one, so that other values stay selectable.
+   * @param filters the collection filters (see getCardCollection).
+   * @returns the list of values ({ value, count }) by facet name.
+   */
+  async getCollectionFacets(filters = {}) {
+    const facets = {};
+
+    for (const [name, column] of Object.entries(COLLECTION_FILTER_COLUMNS)) {
+      const { where, params } = this._collectionWhere(filters, name);
+      const rows = await this.dbService.query(
+        `
+            SELECT ${column} AS value, COUNT(m.id) AS count
+              FROM CARD_META m
+              JOIN ELEMENT a ON a.id = m.element_id
+              JOIN RARITY r ON r.id = m.rarity_id
+              JOIN FAMILY f ON f.id = m.family_id
+             WHERE ${where}
+          GROUP BY ${column}
+            `,
+        params
+      );
+      const counts = new Map(rows.map((r) => [r.value, parseInt(r.count)]));
+
+      // enum tables provide all the values, even the ones without any matching card
+      const enumValues = {
+        element: this._read_elements,
+        rarity: this._read_rarities,
+        family: this._read_families,
+      }[name];
+      const values = enumValues
+        ? Array.from((await enumValues.call(this)).keys())
+        : Array.from(counts.keys());
+
+      facets[name] = values
+        .filter((value) => value !== null)
+        .sort()
+        .map((value) => ({ value, count: counts.get(value) || 0 }));
+    }
+
+    return facets;
+  }
+
   /**
    * Get details about a card using its ID.
    */
@@ -679,42 +1406,543 @@ class Repository {
    * Get the list of cards related to an ID.
    */
   async getCardList(id) {
-    const rows = this.dbService.query(
+    const rows = await this.dbService.query(
       `
-        SELECT c.foil,
+        SELECT c.id,
+               c.foil,
                c.rank,
                c.numbering,
                c.power,
+               c.potential,
+               c.status,
+               c.raw_metadata,
                u.address
           FROM CARD c
           JOIN CTA_USER u ON u.id = c.user_id 
          WHERE c.card_meta_id = $1
+           AND c.burned_at IS NULL
       `,
       [id]
     );
 
+    return rows.map(_withMetadata);
+  }
+
+  /**
+   * Get the cards of a meta card with a serial number.
+   * @param id the meta card id.
+   * @param numbering the serial number.
+   * @param foil optional foil flag.
+   * @returns the cards with their owner address.
+   */
+  async getCardsBySerial(id, numbering, foil) {
+    const params = [id, numbering];
+    let where =
+      "c.card_meta_id = $1 AND c.numbering = $2 AND c.burned_at IS NULL";
+    if (foil !== undefined) {
+      params.push(foil ? 1 : 0);
+      where += ` AND c.foil = $${params.length}`;
+    }
+
+    const rows = await this.dbService.query(
+      `
+        SELECT c.id, c.foil, c.numbering, c.rank, c.grade, u.address
+          FROM CARD c
+          JOIN CTA_USER u ON u.id = c.user_id
+         WHERE ${where}
+      ORDER BY c.foil, c.id
+      `,
+      params
+    );
+    return rows;
+  }
+
+  /**
+   * Get the lowest numbered cards of a meta card.
+   * @param id the meta card id.
+   * @param foil the foil flag.
+   * @param count the number of cards.
+   * @returns the cards with their owner address, ordered by serial number.
+   */
+  async getLowestSerials(id, foil, count) {
+    const rows = await this.dbService.query(
+      `
+        SELECT c.id, c.numbering, c.rank, c.grade, u.address
+          FROM CARD c
+          JOIN CTA_USER u ON u.id = c.user_id
+         WHERE c.card_meta_id = $1 AND c.foil = $2 AND c.burned_at IS NULL
+      ORDER BY c.numbering, c.id
+         LIMIT $3
+      `,
+      [id, foil ? 1 : 0, count]
+    );
+    return rows;
+  }
+
+  /**
+   * Get the gaps of the serial numbers of a meta card, i.e the ranges of
+   * numbers between 1 and the highest number held by no card.
+   * @param id the meta card id.
+   * @param foil the foil flag.
+   * @param pageIndex index of the page (starting at 0).
+   * @param pageSize number of gaps per page.
+   * @returns the page of gaps ({ gap_start, gap_end }), the total number of gaps
+   * and of missing numbers.
+   */
+  async getSerialGaps(id, foil, pageIndex, pageSize) {
+    // numbers following each held number, starting from 0 to detect a leading gap
+    const gaps = `
+        SELECT numbering + 1 AS gap_start, next_numbering - 1 AS gap_end
+          FROM (SELECT numbering,
+                       LEAD(numbering) OVER (ORDER BY numbering) AS next_numbering
+                  FROM (SELECT 0 AS numbering
+                         UNION ALL
+                        SELECT DISTINCT numbering
+                          FROM CARD
+                         WHERE card_meta_id = $1 AND foil = $2) n) s
+         WHERE next_numbering > numbering + 1
+      `;
+    const params = [id, foil ? 1 : 0];
+
+    const rows = await this.dbService.query(
+      `${gaps} ORDER BY gap_start LIMIT $3 OFFSET $4`,
+      [...params, pageSize, pageIndex * pageSize]
+    );
+    const count = await this.dbService.query(
+      `
+        SELECT COUNT(*) AS count,
+               SUM(gap_end - gap_start + 1) AS missing_count
+          FROM (${gaps}) g
+      `,
+      params
+    );
+
+    return {
+      gaps: rows.map((row) => ({
+        gap_start: parseInt(row.gap_start),
+        gap_end: parseInt(row.gap_end),
+      })),
+      total: parseInt(count[0].count),
+      missingCount: parseInt(count[0].missing_count) || 0,
+    };
+  }
+
+  /**
+   * Find the serial numbers held by several cards of the same meta card and
+   * foil, or by several mint passes of the same type (data integrity issue).
+   * @returns the duplicated serial numbers of cards and mint passes, with the token ids.
+   */
+  async getDuplicateSerials() {
+    const cards = await this.dbService.query(
+      `
+        SELECT c.card_meta_id, c.foil, c.numbering, c.id
+          FROM CARD c
+          JOIN (SELECT card_meta_id, foil, numbering
+                  FROM CARD
+              GROUP BY card_meta_id, foil, numbering
+                HAVING COUNT(id) > 1) d
+            ON d.card_meta_id = c.card_meta_id
+           AND d.foil = c.foil
+           AND d.numbering = c.numbering
+      ORDER BY c.card_meta_id, c.foil, c.numbering, c.id
+      `
+    );
+    const mintPasses = await this.dbService.query(
+      `
+        SELECT p.mint_pass_type_id, p.numbering, p.id
+          FROM MINT_PASS p
+          JOIN (SELECT mint_pass_type_id, numbering
+                  FROM MINT_PASS
+              GROUP BY mint_pass_type_id, numbering
+                HAVING COUNT(id) > 1) d
+            ON d.mint_pass_type_id = p.mint_pass_type_id
+           AND d.numbering = p.numbering
+      ORDER BY p.mint_pass_type_id, p.numbering, p.id
+      `
+    );
+
+    return { cards, mintPasses };
+  }
+
+  /**
+   * Get the stored records of a list of cards.
+   * @param ids the card token ids.
+   * @returns the cards with their meta card data and owner address (the last
+   * owner of the burned cards).
+   */
+  async getCardTokens(ids) {
+    if (ids.length <= 0) return [];
+
+    const rows = await this.dbService.query(
+      `
+        SELECT c.id, c.foil, c.rank, c.grade, c.power, c.potential, c.numbering,
+               c.animationLevel AS animation_level, c.status, c.raw_metadata,
+               c.created_at, c.updated_at, c.burned_at, c.card_meta_id,
+               ${USER_CARD_META_COLUMNS}, u.address
+          FROM CARD c
+     LEFT JOIN CTA_USER u ON u.id = c.user_id
+          JOIN CARD_META m ON m.id = c.card_meta_id
+          JOIN ELEMENT a ON a.id = m.element_id
+          JOIN RARITY r ON r.id = m.rarity_id
+          JOIN FAMILY f ON f.id = m.family_id
+         WHERE c.id IN (${_placeholders(ids)})
+      `,
+      ids
+    );
+    return rows.map(_withMetadata);
+  }
+
+  /**
+   * Get the stored records of a list of mint passes.
+   * @param ids the mint pass token ids.
+   * @returns the mint passes with their type and owner address.
+   */
+  async getMintPassTokens(ids) {
+    if (ids.length <= 0) return [];
+
+    const rows = await this.dbService.query(
+      `
+        SELECT p.id, p.numbering, p.raw_metadata, p.created_at, p.updated_at,
+               p.burned_at, t.pass_type, t.name, t.description, t.image_url,
+               u.address
+          FROM MINT_PASS p
+          JOIN MINT_PASS_TYPE t ON t.id = p.mint_pass_type_id
+     LEFT JOIN CTA_USER u ON u.id = p.user_id
+         WHERE p.id IN (${_placeholders(ids)})
+      `,
+      ids
+    );
+    return rows.map(_withMetadata);
+  }
+
+  /**
+   * Get the burn events of a list of cards.
+   * @param ids the card token ids.
+   * @returns the burn events with the meta card data and the last owner address.
+   */
+  async getCardBurnEvents(ids) {
+    if (ids.length <= 0) return [];
+
+    const rows = await this.dbService.query(
+      `
+        SELECT e.card_id, e.event_timestamp, e.card_meta_id,
+               m.name, m.image_url, m.advancement, m.card_type,
+               a.name AS element, r.name AS rarity, f.name AS family,
+               uf.address AS from_address
+          FROM CARD_OWNERSHIP_EVENT e
+     LEFT JOIN CARD_META m ON m.id = e.card_meta_id
+     LEFT JOIN ELEMENT a ON a.id = m.element_id
+     LEFT JOIN RARITY r ON r.id = m.rarity_id
+     LEFT JOIN FAMILY f ON f.id = m.family_id
+     LEFT JOIN CTA_USER uf ON uf.id = e.from_user_id
+         WHERE e.event_type = $1
+           AND e.card_id IN (${_placeholders(ids, 1)})
+      `,
+      [OWNERSHIP_EVENT_TYPES.BURN, ...ids]
+    );
+    return rows;
+  }
+
+  /**
+   * Get the ownership history of a card.
+   * @param id the card token id.
+   * @returns the list of ownership events, from the oldest to the newest.
+   */
+  async getCardOwnershipHistory(id) {
+    const rows = await this.dbService.query(
+      `
+        SELECT e.event_type,
+               e.event_timestamp,
+               uf.address AS from_address,
+               ut.address AS to_address
+          FROM CARD_OWNERSHIP_EVENT e
+     LEFT JOIN CTA_USER uf ON uf.id = e.from_user_id
+     LEFT JOIN CTA_USER ut ON ut.id = e.to_user_id
+         WHERE e.card_id = $1
+      ORDER BY e.event_timestamp, e.id
+      `,
+      [id]
+    );
     return rows;
   }
 
   /**
-   * Get the list of users.
+   * Get the ownership events involving a user.
+   * @param address IMX wallet address of the user.
+   * @param from optional start timestamp (included).
+   * @param to optional end timestamp (included).
+   * @returns the list of ownership events, from the oldest to the newest.
    */
-  async getUsers(pageIndex, pageSize) {
-    const rows = this.dbService.query(
+  async getUserTransfers(address, from, to) {
+    const params = [address];
+    let where = "(uf.address = $1 OR ut.address = $1)";
+
+    if (from) {
+      params.push(from);
+      where += ` AND e.event_timestamp >= $${params.length}`;
+    }
+    if (to) {
+      params.push(to);
+      where += ` AND e.event_timestamp <= $${params.length}`;
+    }
+
+    const rows = await this.dbService.query(
       `
-          SELECT u.address, count(c.id) AS card_count
-            FROM CARD c,
-                 CTA_USER u
-           WHERE u.id = c.user_id
-        GROUP BY u.address
-        ORDER BY count(c.id) DESC
-          OFFSET $1
-           LIMIT $2
+        SELECT e.card_id,
+               e.card_meta_id,
+               m.name AS card_name,
+               r.name AS rarity,
+               e.event_type,
+               e.event_timestamp,
+               uf.address AS from_address,
+               ut.address AS to_address
+          FROM CARD_OWNERSHIP_EVENT e
+     LEFT JOIN CARD_META m ON m.id = e.card_meta_id
+     LEFT JOIN RARITY r ON r.id = m.rarity_id
+     LEFT JOIN CTA_USER uf ON uf.id = e.from_user_id
+     LEFT JOIN CTA_USER ut ON ut.id = e.to_user_id
+         WHERE ${where}
+      ORDER BY e.event_timestamp, e.id
       `,
-      [pageIndex * pageSize, pageSize]
+      params
     );
     return rows;
   }
+
+  /**
+   * Get the list of users holding at least a card or a mint pass.
+   * @param pageIndex index of the page (starting at 0).
+   * @param pageSize number of users per page.
+   * @param sort the sort key ('cards', 'foils', 'mythics' or 'mintPasses').
+   * @param order the sort order ('asc' or 'desc').
+   * @param minCards optional minimum number of cards held.
+   * @param ownsCard optional meta card id that users must hold.
+   * @returns the page of users with their asset counts, and the total number of users.
+   */
+  async getUsers({
+    pageIndex,
+    pageSize,
+    sort = "cards",
+    order = "desc",
+    minCards,
+    ownsCard,
+  }) {
+    const params = [];
+    let where = "(cs.card_count > 0 OR ps.mint_pass_count > 0)";
+
+    if (minCards !== undefined) {
+      params.push(minCards);
+      where += ` AND COALESCE(cs.card_count, 0) >= $${params.length}`;
+    }
+    if (ownsCard !== undefined) {
+      params.push(ownsCard);
+      where += ` AND EXISTS (
+                 SELECT 1
+                   FROM CARD oc
+                  WHERE oc.user_id = u.id
+                    AND oc.card_meta_id = $${params.length}
+                    AND oc.burned_at IS NULL
+               )`;
+    }
+
+    const from = `
+          FROM CTA_USER u
+     LEFT JOIN (
+               SELECT c.user_id,
+                      COUNT(c.id) AS card_count,
+                      SUM(c.foil) AS foil_count,
+                      SUM(CASE WHEN r.name = 'MYTHIC' THEN 1 ELSE 0 END) AS mythic_count
+                 FROM CARD c
+                 JOIN CARD_META m ON m.id = c.card_meta_id
+                 JOIN RARITY r ON r.id = m.rarity_id
+                WHERE c.burned_at IS NULL
+             GROUP BY c.user_id
+               ) cs ON cs.user_id = u.id
+     LEFT JOIN (
+               SELECT p.user_id, COUNT(p.id) AS mint_pass_count
+                 FROM MINT_PASS p
+                WHERE p.burned_at IS NULL
+             GROUP BY p.user_id
+               ) ps ON ps.user_id = u.id
+         WHERE ${where}
+    `;
+
+    const rows = await this.dbService.query(
+      `
+        SELECT u.address,
+               COALESCE(cs.card_count, 0)      AS card_count,
+               COALESCE(cs.foil_count, 0)      AS foil_count,
+               COALESCE(cs.mythic_count, 0)    AS mythic_count,
+               COALESCE(ps.mint_pass_count, 0) AS mint_pass_count
+        ${from}
+      ORDER BY ${USER_SORT_COLUMNS[sort]} ${order === "asc" ? "ASC" : "DESC"},
+               u.address
+         LIMIT $${params.length + 1}
+        OFFSET $${params.length + 2}
+      `,
+      [...params, pageSize, pageIndex * pageSize]
+    );
+    const totalRows = await this.dbService.query(
+      `SELECT COUNT(*) AS total ${from}`,
+      params
+    );
+
+    return { users: rows, total: parseInt(totalRows[0].total) };
+  }
+
+  /**
+   * Register a webhook.
+   * @param url the URL notified of the events.
+   * @param secret the secret used to sign the events.
+   * @param filters the event filters ({ events, cardIds, addresses }).
+   * @param createdAt the creation timestamp.
+   * @returns the webhook id.
+   */
+  async createWebhook({ url, secret, filters, createdAt }) {
+    const [id] = await this.dbService.insert(
+      "WEBHOOK",
+      ["url", "secret", "filters", "created_at"],
+      "id",
+      [{ url, secret, filters, created_at: createdAt }]
+    );
+    return id;
+  }
+
+  /**
+   * Get the registered webhooks.
+   * @returns the webhooks, with their secret and filters.
+   */
+  async getWebhooks() {
+    const rows = await this.dbService.query(
+      `
+        SELECT id, url, secret, filters, created_at
+          FROM WEBHOOK
+      ORDER BY id
+      `
+    );
+    return rows.map((row) => ({
+      ...row,
+      filters:
+        typeof row.filters === "string" ? JSON.parse(row.filters) : row.filters,
+    }));
+  }
+
+  /**
+   * Delete a webhook and its delivery log.
+   * @param id the webhook id.
+   * @returns true if the webhook existed.
+   */
+  async deleteWebhook(id) {
+    await this.dbService.query(
+      "DELETE FROM WEBHOOK_DELIVERY WHERE webhook_id = $1",
+      [id]
+    );
+    const rows = await this.dbService.query(
+      "DELETE FROM WEBHOOK WHERE id = $1 RETURNING id",
+      [id]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Log a new delivery of an event to a webhook, pending until it is sent.
+   * @param webhookId the webhook id.
+   * @param event the event ({ type, ... }).
+   * @param createdAt the creation timestamp.
+   * @returns the delivery id.
+   */
+  async recordWebhookDelivery({ webhookId, event, createdAt }) {
+    const [id] = await this.dbService.insert(
+      "WEBHOOK_DELIVERY",
+      [
+        "webhook_id",
+        "event_type",
+        "payload",
+        "status",
+        "attempts",
+        "created_at",
+        "updated_at",
+      ],
+      "id",
+      [
+        {
+          webhook_id: webhookId,
+          event_type: event.type,
+          payload: event,
+          status: "pending",
+          attempts: 0,
+          created_at: createdAt,
+          updated_at: createdAt,
+        },
+      ]
+    );
+    return id;
+  }
+
+  /**
+   * Update the status of a webhook delivery after an attempt.
+   * @param id the delivery id.
+   * @param status the delivery status ('pending', 'delivered' or 'failed').
+   * @param attempts the number of attempts.
+   * @param responseStatus the HTTP status of the last response, if any.
+   * @param error the error of the last attempt, if any.
+   * @param updatedAt the update timestamp.
+   */
+  async updateWebhookDelivery({
+    id,
+    status,
+    attempts,
+    responseStatus,
+    error,
+    updatedAt,
+  }) {
+    await this.dbService.query(
+      `
+        UPDATE WEBHOOK_DELIVERY
+           SET status = $2, attempts = $3, response_status = $4, error = $5,
+               updated_at = $6
+         WHERE id = $1
+      `,
+      [id, status, attempts, responseStatus ?? null, error ?? null, updatedAt]
+    );
+  }
+
+  /**
+   * Get the delivery log of a webhook.
+   * @param webhookId the webhook id.
+   * @param pageIndex index of the page (starting at 0).
+   * @param pageSize number of deliveries per page.
+   * @returns the page of deliveries, from the newest to the oldest, and the
+   * total number of deliveries.
+   */
+  async getWebhookDeliveries(webhookId, pageIndex, pageSize) {
+    const rows = await this.dbService.query(
+      `
+        SELECT id, event_type, payload, status, attempts, response_status,
+               error, created_at, updated_at
+          FROM WEBHOOK_DELIVERY
+         WHERE webhook_id = $1
+      ORDER BY id DESC
+         LIMIT $2 OFFSET $3
+      `,
+      [webhookId, pageSize, pageIndex * pageSize]
+    );
+    const totalRows = await this.dbService.query(
+      "SELECT COUNT(*) AS total FROM WEBHOOK_DELIVERY WHERE webhook_id = $1",
+      [webhookId]
+    );
+
+    return {
+      deliveries: rows.map((row) => ({
+        ...row,
+        payload:
+          typeof row.payload === "string"
+            ? JSON.parse(row.payload)
+            : row.payload,
+      })),
+      total: parseInt(totalRows[0].total),
+    };
+  }
 }
 
 module.exports = { Repository };
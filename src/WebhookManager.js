@@ -0,0 +1,280 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const debug = require("debug")("webhook");
+
+const {
+  COLLECTION_EVENT_TYPES,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_DELAY_IN_MS,
+  WEBHOOK_TIMEOUT_IN_MS,
+} = require("./constants");
+const { sleep } = require("./utils");
+
+/**
+ * Sign the body of a webhook request.
+ * @param secret the webhook secret.
+ * @param body the request body.
+ * @returns the signature header value ('sha256=<hex HMAC of the body>').
+ */
+const signPayload = (secret, body) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+/**
+ * Check if an event passes the filters of a webhook. A missing or empty
+ * filter lets all the events pass.
+ * @param event the event.
+ * @param filters the webhook filters ({ events, cardIds, addresses }).
+ */
+const matchesFilters = (event, { events, cardIds, addresses } = {}) =>
+  (!events?.length || events.includes(event.type)) &&
+  (!cardIds?.length || cardIds.includes(event.card_meta_id)) &&
+  (!addresses?.length ||
+    [event.from, event.to].some((address) => addresses.includes(address)));
+
+/**
+ * Send a JSON POST request.
+ * @param url the request URL.
+ * @param body the JSON body.
+ * @param headers the additional request headers.
+ * @param timeout the request timeout (in ms).
+ * @returns the HTTP status of the response.
+ */
+const postJson = (url, body, headers, timeout) =>
+  new Promise((resolve, reject) => {
+    const request = (url.startsWith("https:") ? https : http).request(
+      url,
+      {
+        method: "POST",
+        timeout,
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          ...headers,
+        },
+      },
+      (response) => {
+        // drain the response to free the socket
+        response.resume();
+        response.on("end", () => resolve(response.statusCode));
+      }
+    );
+    request.on("timeout", () =>
+      request.destroy(new Error(`timeout after ${timeout} ms`))
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+/**
+ * Manage the webhooks and deliver them the collection events: signed JSON POST
+ * requests retried with an exponential backoff, logged in the database.
+ */
+class WebhookManager {
+  /**
+   * @param repository the CTA repository.
+   * @param maxAttempts the number of delivery attempts of an event.
+   * @param retryDelayInMs the delay before the first retry, doubled at each retry.
+   * @param timeoutInMs the timeout of a delivery request.
+   * @note: the options may be strings (e.g read from the environment), they are
+   * parsed as numbers as http.request rejects a string timeout.
+   */
+  constructor(
+    repository,
+    {
+      maxAttempts = WEBHOOK_MAX_ATTEMPTS,
+      retryDelayInMs = WEBHOOK_RETRY_DELAY_IN_MS,
+      timeoutInMs = WEBHOOK_TIMEOUT_IN_MS,
+    } = {}
+  ) {
+    this.repository = repository;
+    this.maxAttempts = parseInt(maxAttempts);
+    this.retryDelayInMs = parseInt(retryDelayInMs);
+    this.timeoutInMs = parseInt(timeoutInMs);
+  }
+
+  /**
+   * Register a webhook.
+   * @param url the URL notified of the events.
+   * @param filters the event filters ({ events, cardIds, addresses }).
+   * @param secret the secret used to sign the events (random if missing).
+   * @returns the webhook, with its secret.
+   */
+  async register({
+    url,
+    filters = {},
+    secret = crypto.randomBytes(32).toString("hex"),
+  }) {
+    const createdAt = new Date().toISOString();
+    const id = await this.repository.createWebhook({
+      url,
+      secret,
+      filters,
+      createdAt,
+    });
+    debug(`webhook REGISTERED: ${id} (${url})`);
+
+    return { id, url, filters, secret, created_at: createdAt };
+  }
+
+  /**
+   * Get the registered webhooks (without their secret).
+   * @returns the webhooks.
+   */
+  async list() {
+    const webhooks = await this.repository.getWebhooks();
+    return webhooks.map(({ secret, ...webhook }) => webhook);
+  }
+
+  /**
+   * Unregister a webhook.
+   * @param id the webhook id.
+   * @returns true if the webhook existed.
+   */
+  async remove(id) {
+    return await this.repository.deleteWebhook(id);
+  }
+
+  /**
+   * Get the delivery log of a webhook.
+   * @param id the webhook id.
+   * @param pageIndex index of the page (starting at 0).
+   * @param pageSize number of deliveries per page.
+   * @returns the page of deliveries, or undefined if the webhook doesn't exist.
+   */
+  async getDeliveries(id, pageIndex = 0, pageSize = 50) {
+    const webhooks = await this.repository.getWebhooks();
+    if (!webhooks.some((webhook) => webhook.id === id)) return undefined;
+
+    const { deliveries, total } = await this.repository.getWebhookDeliveries(
+      id,
+      pageIndex,
+      pageSize
+    );
+    return {
+      webhook_id: id,
+      total,
+      page: pageIndex,
+      page_size: pageSize,
+      deliveries,
+    };
+  }
+
+  /**
+   * Deliver the collection events emitted by the CTA manager. The events of a
+   * page are emitted together, so they are dispatched as a single batch.
+   * @param emitter the CTA manager.
+   */
+  attach(emitter) {
+    let batch = [];
+    const dispatchBatch = () => {
+      const events = batch;
+      batch = [];
+      this.dispatchAll(events).catch((error) =>
+        debug(`dispatch of ${events.length} events FAILED: ${error}`)
+      );
+    };
+
+    Object.values(COLLECTION_EVENT_TYPES).forEach((type) =>
+      emitter.on(type, (event) => {
+        if (batch.length <= 0) setImmediate(dispatchBatch);
+        batch.push(event);
+      })
+    );
+  }
+
+  /**
+   * Deliver an event to the webhooks whose filters it passes.
+   * @param event the event ({ type, timestamp, ... }).
+   * @returns the delivery ids, once all the deliveries are done.
+   */
+  async dispatch(event) {
+    return await this.dispatchAll([event]);
+  }
+
+  /**
+   * Deliver a batch of events to the webhooks whose filters they pass, the
+   * webhooks being loaded once for the whole batch.
+   * @param events the events ({ type, timestamp, ... }).
+   * @returns the delivery ids, once all the deliveries are done.
+   */
+  async dispatchAll(events) {
+    if (events.length <= 0) return [];
+    const webhooks = await this.repository.getWebhooks();
+
+    const deliveries = [];
+    for (const event of events) {
+      for (const webhook of webhooks) {
+        if (!matchesFilters(event, webhook.filters)) continue;
+
+        const deliveryId = await this.repository.recordWebhookDelivery({
+          webhookId: webhook.id,
+          event,
+          createdAt: new Date().toISOString(),
+        });
+        deliveries.push(this._deliver(webhook, deliveryId, event));
+      }
+    }
+
+    return await Promise.all(deliveries);
+  }
+
+  /**
+   * Send an event to a webhook until it is accepted (2xx response) or the
+   * attempts are exhausted, logging the delivery status after each attempt.
+   * @param webhook the webhook.
+   * @param deliveryId the delivery id.
+   * @param event the event.
+   * @returns the delivery id.
+   */
+  async _deliver(webhook, deliveryId, event) {
+    const body = JSON.stringify({ delivery_id: deliveryId, ...event });
+    const headers = {
+      "X-CTA-Event": event.type,
+      "X-CTA-Delivery": deliveryId,
+      "X-CTA-Signature": signPayload(webhook.secret, body),
+    };
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let responseStatus, error;
+      try {
+        responseStatus = await postJson(
+          webhook.url,
+          body,
+          headers,
+          this.timeoutInMs
+        );
+        if (responseStatus < 200 || responseStatus >= 300)
+          error = `HTTP status ${responseStatus}`;
+      } catch (e) {
+        error = e.message;
+      }
+
+      const status = !error
+        ? "delivered"
+        : attempt < this.maxAttempts
+        ? "pending"
+        : "failed";
+      await this.repository.updateWebhookDelivery({
+        id: deliveryId,
+        status,
+        attempts: attempt,
+        responseStatus,
+        error,
+        updatedAt: new Date().toISOString(),
+      });
+
+      if (!error) break;
+      debug(
+        `delivery ${deliveryId} to ${webhook.url} FAILED (attempt ${attempt}): ${error}`
+      );
+      if (status === "pending") {
+        await sleep(this.retryDelayInMs * 2 ** (attempt - 1));
+      }
+    }
+
+    return deliveryId;
+  }
+}
+
+module.exports = { WebhookManager, matchesFilters, signPayload };
@@ -1,6 +1,12 @@
 // From where CTA items come from ('imx' for IMX blockchain or 'local' for test)
 const ASSETS_SOURCE = process.env.ASSETS_SOURCE || "imx";
 
+// Database driver used to store CTA items ('postgres' or 'sqlite')
+const DB_DRIVER = process.env.DB_DRIVER || "postgres";
+
+// Database file used by the 'sqlite' driver
+const SQLITE_FILENAME = process.env.SQLITE_FILENAME || "cta.sqlite";
+
 // Address of the CTA collection on the IMX blockchain
 const CTA_COLLECTION_ADDRESS =
   process.env.CTA_COLLECTION_ADDRESS ||
@@ -12,7 +18,74 @@ const CTA_PAGE_SIZE = process.env.CTA_PAGE_SIZE || 1000;
 // Maximum number of assets retrieved per update to avoid reaching the API limit
 const MAX_ASSETS_PER_UPDATE = process.env.MAX_ASSETS_PER_UPDATE || 2000;
 
-// rarities for which we know the total supply
+// Overlap window (in seconds) applied to the last synced asset timestamp when
+// resuming after a restart, so that no asset updated meanwhile is skipped
+const SYNC_OVERLAP_IN_SECONDS = process.env.SYNC_OVERLAP_IN_SECONDS || 300;
+
+// Number of retries of a sync page when the database can't be reached
+const SYNC_MAX_RETRIES = process.env.SYNC_MAX_RETRIES || 3;
+
+// Delay (in ms) before the first retry of a sync page, doubled at each retry
+const SYNC_RETRY_DELAY_IN_MS = process.env.SYNC_RETRY_DELAY_IN_MS || 1000;
+
+// Minimum period (in minutes) between two snapshots of the minted supply
+const SUPPLY_SNAPSHOT_PERIOD_IN_MINUTES =
+  process.env.SUPPLY_SNAPSHOT_PERIOD_IN_MINUTES || 60;
+
+// Bucket sizes (in ms) of the supply history time series
+const SUPPLY_HISTORY_BUCKETS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+// JSON file of the card supply table (data/supply.json by default)
+const SUPPLY_FILE = process.env.SUPPLY_FILE;
+
+// Number of users ranked in the leaderboards
+const LEADERBOARD_SIZE = process.env.LEADERBOARD_SIZE || 100;
+
+// Types of the events recorded when a card changes hands
+const OWNERSHIP_EVENT_TYPES = {
+  MINT: "MINT",
+  TRANSFER: "TRANSFER",
+  BURN: "BURN",
+};
+
+// Types of the collection events emitted by the sync loop and sent to the webhooks
+const COLLECTION_EVENT_TYPES = {
+  NEW_META_CARD: "new_meta_card",
+  // mint of a foil or mythic card
+  MINT: "mint",
+  BURN: "burn",
+  TRANSFER: "transfer",
+  SUPPLY_THRESHOLD: "supply_threshold",
+};
+
+// Event emitted with the summary of each synced page (sent to the live event streams)
+const SYNC_EVENT = "sync";
+
+// Period (in seconds) of the keep-alive comments sent to the live event streams
+const EVENT_STREAM_HEARTBEAT_IN_SECONDS =
+  process.env.EVENT_STREAM_HEARTBEAT_IN_SECONDS || 30;
+
+// Percentages of the minted supply of a meta card notified when crossed
+const SUPPLY_THRESHOLDS = (process.env.SUPPLY_THRESHOLDS || "25,50,75,90,100")
+  .split(",")
+  .map((threshold) => parseFloat(threshold));
+
+// Number of delivery attempts of a webhook event
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+
+// Delay (in ms) before the first retry of a webhook delivery, doubled at each retry
+const WEBHOOK_RETRY_DELAY_IN_MS =
+  parseInt(process.env.WEBHOOK_RETRY_DELAY_IN_MS) || 1000;
+
+// Timeout (in ms) of a webhook delivery request
+const WEBHOOK_TIMEOUT_IN_MS =
+  parseInt(process.env.WEBHOOK_TIMEOUT_IN_MS) || 10000;
+
+// standard rarities, from the rarest to the most common
 const KNOWN_SUPPLY_RARITIES = [
   "MYTHIC",
   "ULTRA_RARE",
@@ -22,117 +95,30 @@ const KNOWN_SUPPLY_RARITIES = [
   "COMMON",
 ];
 
-// Standard card supply
-const CARD_SUPPLY = {
-  normal: {
-    MYTHIC: {
-      STANDARD: 20000,
-      ALTERNATIVE: 10000,
-      ALTERNATIVE_COMBO: 5000,
-    },
-    ULTRA_RARE: {
-      STANDARD: 60000,
-      ALTERNATIVE: 30000,
-      ALTERNATIVE_COMBO: 15000,
-    },
-    SPECIAL_RARE: {
-      STANDARD: 100000,
-      ALTERNATIVE: 40000,
-      ALTERNATIVE_COMBO: 20000,
-    },
-    RARE: {
-      STANDARD: 150000,
-      ALTERNATIVE: 50000,
-      ALTERNATIVE_COMBO: 25000,
-    },
-    UNCOMMON: {
-      STANDARD: 400000,
-      ALTERNATIVE: 100000,
-      ALTERNATIVE_COMBO: 50000,
-    },
-    COMMON: {
-      STANDARD: 800000,
-      ALTERNATIVE: 300000,
-      ALTERNATIVE_COMBO: 150000,
-    },
-  },
-  foil: {
-    MYTHIC: {
-      STANDARD: 4000,
-      ALTERNATIVE: 2000,
-      ALTERNATIVE_COMBO: 1000,
-    },
-    ULTRA_RARE: {
-      STANDARD: 12000,
-      ALTERNATIVE: 6000,
-      ALTERNATIVE_COMBO: 3000,
-    },
-    SPECIAL_RARE: {
-      STANDARD: 20000,
-      ALTERNATIVE: 8000,
-      ALTERNATIVE_COMBO: 4000,
-    },
-    RARE: {
-      STANDARD: 30000,
-      ALTERNATIVE: 10000,
-      ALTERNATIVE_COMBO: 5000,
-    },
-    UNCOMMON: {
-      STANDARD: 80000,
-      ALTERNATIVE: 20000,
-      ALTERNATIVE_COMBO: 10000,
-    },
-    COMMON: {
-      STANDARD: 160000,
-      ALTERNATIVE: 60000,
-      ALTERNATIVE_COMBO: 30000,
-    },
-  },
-};
-
 const percent = (v) => Math.round((v + Number.EPSILON) * 10000) / 100;
 
-const getSupply = (card) => {
-  // ignore for special rarities such as 'exclusive'
-  if (!KNOWN_SUPPLY_RARITIES.includes(card.rarity)) return null;
-
-  let total_supply_foil, total_supply_non_foil;
-  if (card.card_name === "Hannibal & Honora") {
-    total_supply_non_foil = 10000;
-    total_supply_foil = 1000;
-  } else {
-    total_supply_non_foil = CARD_SUPPLY.normal[card.rarity][card.advancement];
-    total_supply_foil = CARD_SUPPLY.foil[card.rarity][card.advancement];
-  }
-
-  return {
-    non_foil: total_supply_non_foil,
-    foil: total_supply_foil,
-  };
-};
-
-/**
- * Compute the percentage of supply already minted.
- * @param card the card.
- */
-const getSupplyPercent = (card) => {
-  const supply = getSupply(card);
-
-  return (
-    supply && {
-      foil: percent(card.total_count_foil / supply.foil),
-      non_foil: percent(card.total_count_non_foil / supply.non_foil),
-    }
-  );
-};
-
 module.exports = {
   CTA_COLLECTION_ADDRESS,
   CTA_PAGE_SIZE,
   ASSETS_SOURCE,
-  CARD_SUPPLY,
+  COLLECTION_EVENT_TYPES,
+  DB_DRIVER,
+  EVENT_STREAM_HEARTBEAT_IN_SECONDS,
+  SQLITE_FILENAME,
   KNOWN_SUPPLY_RARITIES,
+  LEADERBOARD_SIZE,
   MAX_ASSETS_PER_UPDATE,
-  getSupply,
-  getSupplyPercent,
+  OWNERSHIP_EVENT_TYPES,
+  SUPPLY_HISTORY_BUCKETS,
+  SUPPLY_FILE,
+  SUPPLY_SNAPSHOT_PERIOD_IN_MINUTES,
+  SUPPLY_THRESHOLDS,
+  SYNC_EVENT,
+  SYNC_OVERLAP_IN_SECONDS,
+  SYNC_MAX_RETRIES,
+  SYNC_RETRY_DELAY_IN_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_DELAY_IN_MS,
+  WEBHOOK_TIMEOUT_IN_MS,
+  percent,
 };
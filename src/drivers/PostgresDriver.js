@@ -0,0 +1,124 @@
+const { Pool } = require("pg");
+const debug = require("debug")("database");
+
+const {
+  DatabaseError,
+  ConnectionError,
+  ConstraintError,
+  QuerySyntaxError,
+} = require("../errors");
+
+// Network error codes raised by the client when the server can't be reached
+const NETWORK_ERROR_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "ETIMEDOUT",
+];
+
+/**
+ * Get the error class matching a postgres error (using the SQLSTATE code).
+ */
+const _errorClass = (error) => {
+  const code = error.code || "";
+
+  if (
+    NETWORK_ERROR_CODES.includes(code) ||
+    code.startsWith("08") || // connection exception
+    code.startsWith("57P") || // operator intervention (e.g server shutdown)
+    code === "53300" || // too many connections
+    (!code && /connection/i.test(error.message))
+  )
+    return ConnectionError;
+  if (code.startsWith("23")) return ConstraintError; // integrity constraint violation
+  if (code.startsWith("42")) return QuerySyntaxError; // syntax error or access rule violation
+  return DatabaseError;
+};
+
+/**
+ * Execute a query on a pool or on a client, converting errors to database errors.
+ */
+const _query = async (client, query, params) => {
+  try {
+    const { rows } = await client.query(query, params);
+    return rows;
+  } catch (error) {
+    const ErrorClass = _errorClass(error);
+    throw new ErrorClass(error.message, { query, params, cause: error });
+  }
+};
+
+/**
+ * Database driver for PostgreSQL (connection settings read from the PG* environment variables).
+ */
+class PostgresDriver {
+  constructor() {
+    this.dialect = "postgres";
+    this.types = {
+      serialPk: "SERIAL PRIMARY KEY",
+      json: "JSONB",
+    };
+    this.pool = new Pool();
+  }
+
+  /**
+   * Execute a query.
+   * @param {*} query the SQL query, using $1, $2, ... placeholders.
+   * @param {*} params the list of params.
+   * @returns the list of rows.
+   */
+  async query(query, params) {
+    return await _query(this.pool, query, params);
+  }
+
+  /**
+   * Execute queries in a single transaction, on a client checked out from the pool.
+   * The transaction is committed if the callback succeeds, and rolled back otherwise.
+   * @param {*} callback async function receiving the transaction connection (query + types).
+   * @returns the callback result.
+   */
+  async transaction(callback) {
+    let client;
+    try {
+      client = await this.pool.connect();
+    } catch (error) {
+      throw new ConnectionError(error.message, { cause: error });
+    }
+
+    const connection = {
+      dialect: this.dialect,
+      types: this.types,
+      query: async (query, params) => await _query(client, query, params),
+    };
+
+    let result;
+    try {
+      await client.query("BEGIN");
+      result = await callback(connection);
+      await client.query("COMMIT");
+    } catch (error) {
+      // a failed rollback must not hide the error of the transaction
+      try {
+        await client.query("ROLLBACK");
+      } catch (rollbackError) {
+        debug(`transaction ROLLBACK FAILED: ${rollbackError}`);
+      }
+      // the client is destroyed instead of being returned to the pool in an unknown state
+      client.release(error);
+      throw error;
+    }
+
+    client.release();
+    return result;
+  }
+
+  /**
+   * Close the connections.
+   */
+  async end() {
+    debug("closing postgres pool...");
+    await this.pool.end();
+  }
+}
+
+module.exports = { PostgresDriver };
@@ -0,0 +1,150 @@
+const Database = require("better-sqlite3");
+const debug = require("debug")("database");
+
+const {
+  DatabaseError,
+  ConnectionError,
+  ConstraintError,
+  QuerySyntaxError,
+} = require("../errors");
+
+/**
+ * Get the error class matching a SQLite error (using the SQLite result code).
+ */
+const _errorClass = (error) => {
+  const code = error.code || "";
+
+  if (
+    /^SQLITE_(CANTOPEN|BUSY|LOCKED|IOERR|READONLY)/.test(code) ||
+    /connection is not open/.test(error.message)
+  )
+    return ConnectionError;
+  if (code.startsWith("SQLITE_CONSTRAINT")) return ConstraintError;
+  if (code === "SQLITE_ERROR") return QuerySyntaxError; // syntax error, no such table/column, ...
+  return DatabaseError;
+};
+
+/**
+ * Convert a value to a type that can be bound to a SQLite statement.
+ */
+const _toSqliteValue = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === "object" && !Buffer.isBuffer(value))
+    return JSON.stringify(value);
+  return value;
+};
+
+/**
+ * Convert a query using postgres placeholders ($1, $2, ...) to a query using
+ * SQLite anonymous placeholders, with the list of params in the right order.
+ * @note: a placeholder can be used several times in the query.
+ */
+const _convertPlaceholders = (query, params = []) => {
+  const values = [];
+  const text = query.replace(/\$(\d+)/g, (match, index) => {
+    values.push(_toSqliteValue(params[parseInt(index) - 1]));
+    return "?";
+  });
+  return { text, values };
+};
+
+/**
+ * Database driver for SQLite, mainly used for development and tests.
+ */
+class SqliteDriver {
+  /**
+   * @param {*} filename the database file (':memory:' for an in-memory database).
+   */
+  constructor(filename) {
+    this.dialect = "sqlite";
+    this.types = {
+      serialPk: "INTEGER PRIMARY KEY AUTOINCREMENT",
+      json: "TEXT",
+    };
+
+    debug(`opening sqlite database '${filename}'...`);
+    this.db = new Database(filename);
+    this.db.pragma("foreign_keys = ON");
+
+    // promise of the transaction in progress, resolved once it ends
+    this.currentTransaction = null;
+  }
+
+  /**
+   * Execute a query, after the end of the transaction in progress.
+   * @param {*} query the SQL query, using $1, $2, ... placeholders.
+   * @param {*} params the list of params.
+   * @returns the list of rows.
+   */
+  async query(query, params) {
+    while (this.currentTransaction) await this.currentTransaction;
+    return this._query(query, params);
+  }
+
+  /**
+   * Execute a query right away.
+   * @param {*} query the SQL query, using $1, $2, ... placeholders.
+   * @param {*} params the list of params.
+   * @returns the list of rows.
+   */
+  _query(query, params) {
+    try {
+      const { text, values } = _convertPlaceholders(query, params);
+      const statement = this.db.prepare(text);
+
+      if (statement.reader) return statement.all(values);
+
+      statement.run(values);
+      return [];
+    } catch (error) {
+      const ErrorClass = _errorClass(error);
+      throw new ErrorClass(error.message, { query, params, cause: error });
+    }
+  }
+
+  /**
+   * Execute queries in a single transaction.
+   * The transaction is committed if the callback succeeds, and rolled back otherwise.
+   * @note: SQLite uses a single connection, so the queries and transactions
+   * issued meanwhile from outside of the callback wait for its end instead of
+   * joining the transaction.
+   * @param {*} callback async function receiving the transaction connection (query + types).
+   * @returns the callback result.
+   */
+  async transaction(callback) {
+    // (no await between the check and the start, so that a single transaction starts)
+    while (this.currentTransaction) await this.currentTransaction;
+    let release;
+    this.currentTransaction = new Promise((resolve) => (release = resolve));
+    const connection = {
+      dialect: this.dialect,
+      types: this.types,
+      query: async (query, params) => this._query(query, params),
+    };
+
+    try {
+      this.db.exec("BEGIN");
+      const result = await callback(connection);
+      this.db.exec("COMMIT");
+      return result;
+    } catch (error) {
+      if (this.db.inTransaction) this.db.exec("ROLLBACK");
+      throw error;
+    } finally {
+      this.currentTransaction = null;
+      release();
+    }
+  }
+
+  /**
+   * Close the database.
+   */
+  async end() {
+    debug("closing sqlite database...");
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteDriver };
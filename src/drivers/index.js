@@ -0,0 +1,25 @@
+const { DB_DRIVER, SQLITE_FILENAME } = require("../constants");
+
+/**
+ * Create the database driver selected by the DB_DRIVER environment variable.
+ * @note: drivers are loaded on demand so that a driver dependency is only
+ * required when it is used.
+ * @param {*} name the driver name ('postgres' or 'sqlite').
+ * @returns the database driver.
+ */
+const createDriver = (name = DB_DRIVER) => {
+  switch (name) {
+    case "postgres": {
+      const { PostgresDriver } = require("./PostgresDriver");
+      return new PostgresDriver();
+    }
+    case "sqlite": {
+      const { SqliteDriver } = require("./SqliteDriver");
+      return new SqliteDriver(SQLITE_FILENAME);
+    }
+    default:
+      throw new Error(`unknown database driver: '${name}'`);
+  }
+};
+
+module.exports = { createDriver };
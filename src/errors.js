@@ -0,0 +1,96 @@
+/**
+ * Base class of the errors raised while accessing the database.
+ */
+class DatabaseError extends Error {
+  /**
+   * @param message the error message.
+   * @param query the offending SQL query.
+   * @param params the query params.
+   * @param cause the error raised by the database driver.
+   */
+  constructor(message, { query, params, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.query = query;
+    this.params = params;
+    this.cause = cause;
+    this.code = cause?.code;
+  }
+}
+
+/**
+ * The database can't be reached (connection refused or lost, database locked, ...).
+ * Retrying later may succeed.
+ */
+class ConnectionError extends DatabaseError {}
+
+/**
+ * The data violates a constraint of the schema (unique, not null, foreign key, ...).
+ */
+class ConstraintError extends DatabaseError {}
+
+/**
+ * The query is invalid (syntax error, unknown table or column, ...).
+ */
+class QuerySyntaxError extends DatabaseError {}
+
+/**
+ * Base class of the errors returned to API clients, with their HTTP status.
+ */
+class HttpError extends Error {
+  /**
+   * @param status the HTTP status code.
+   * @param code a machine-readable error code.
+   * @param message the error message.
+   * @param details optional details about the error (e.g the invalid parameter).
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * A request parameter is missing or invalid.
+ */
+class ValidationError extends HttpError {
+  /**
+   * @param parameter the name of the invalid parameter.
+   * @param message the error message.
+   */
+  constructor(parameter, message) {
+    super(400, "INVALID_PARAMETER", message, { parameter });
+  }
+}
+
+/**
+ * The requested resource does not exist.
+ */
+class NotFoundError extends HttpError {
+  constructor(message = "resource not found") {
+    super(404, "NOT_FOUND", message);
+  }
+}
+
+/**
+ * The request lacks valid credentials.
+ */
+class UnauthorizedError extends HttpError {
+  constructor(message = "unauthorized") {
+    super(401, "UNAUTHORIZED", message);
+  }
+}
+
+module.exports = {
+  DatabaseError,
+  ConnectionError,
+  ConstraintError,
+  QuerySyntaxError,
+  HttpError,
+  ValidationError,
+  NotFoundError,
+  UnauthorizedError,
+};
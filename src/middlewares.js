@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+const debug = require("debug")("cta");
+
+const {
+  HttpError,
+  NotFoundError,
+  ConnectionError,
+  DatabaseError,
+  UnauthorizedError,
+} = require("./errors");
+
+/**
+ * Forward the errors of an async route handler to the error middleware, as
+ * express does not handle rejected promises by itself.
+ * @param handler the async route handler.
+ */
+const asyncRoute = (handler) => (req, res, next) =>
+  handler(req, res, next).catch(next);
+
+/**
+ * Reject the requests which match no route.
+ */
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`no route for ${req.method} ${req.path}`));
+};
+
+/**
+ * Restrict a route to the administrators, identified by the ADMIN_TOKEN
+ * sent in the 'X-Admin-Token' header. Admin routes are disabled if no
+ * ADMIN_TOKEN is configured.
+ * @param token the admin token.
+ */
+const requireAdminToken =
+  (token = process.env.ADMIN_TOKEN) =>
+  (req, res, next) => {
+    const received = Buffer.from(req.get("X-Admin-Token") || "");
+    const expected = Buffer.from(token || "");
+
+    // constant time comparison, to not leak the token through response times
+    const valid =
+      expected.length > 0 &&
+      received.length === expected.length &&
+      crypto.timingSafeEqual(received, expected);
+
+    next(valid ? undefined : new UnauthorizedError("invalid admin token"));
+  };
+
+/**
+ * Convert an error to the JSON error envelope sent to clients.
+ * @note: internal errors are not detailed to avoid leaking queries or stacks.
+ * @returns the HTTP status and the response body.
+ */
+const toErrorResponse = (error) => {
+  let status = 500;
+  let body = { code: "INTERNAL_ERROR", message: "internal server error" };
+
+  if (error instanceof HttpError) {
+    status = error.status;
+    body = { code: error.code, message: error.message, details: error.details };
+  } else if (error instanceof ConnectionError) {
+    status = 503;
+    body = { code: "SERVICE_UNAVAILABLE", message: "database unavailable" };
+  } else if (error?.type === "entity.parse.failed") {
+    status = 400;
+    body = { code: "INVALID_BODY", message: "invalid JSON body" };
+  }
+
+  return { status, body: { error: { status, ...body } } };
+};
+
+/**
+ * Send errors as JSON responses.
+ * @note: express identifies error middlewares by their 4 arguments.
+ */
+const errorHandler = (error, req, res, next) => {
+  const { status, body } = toErrorResponse(error);
+
+  // database errors are already logged with their query
+  if (status >= 500 && !(error instanceof DatabaseError)) console.error(error);
+  debug(
+    `${req.method} ${req.originalUrl} FAILED (${status}): ${error.message}`
+  );
+
+  if (res.headersSent) return next(error);
+  res.status(status).json(body);
+};
+
+module.exports = {
+  asyncRoute,
+  notFound,
+  requireAdminToken,
+  errorHandler,
+  toErrorResponse,
+};
@@ -0,0 +1,149 @@
+/**
+ * Initial schema: CTA cards, mint passes and their owners.
+ * @note: use 'IF NOT EXISTS' clauses as this schema was created without
+ * migrations by previous versions.
+ */
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const up = async (db) => {
+  // UPDATE_HISTORY Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS UPDATE_HISTORY (
+                id                   ${db.types.serialPk},
+                update_timestamp     TEXT NOT NULL,
+                last_asset_timestamp TEXT NOT NULL,
+                assets_count         INT
+            )
+            `
+  );
+
+  // ELEMENT Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS ELEMENT (
+                id   ${db.types.serialPk},
+                name TEXT NOT NULL UNIQUE
+            )
+            `
+  );
+
+  // RARITY Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS RARITY (
+                id   ${db.types.serialPk},
+                name TEXT NOT NULL UNIQUE
+            )
+            `
+  );
+
+  // FAMILY Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS FAMILY (
+                id   ${db.types.serialPk},
+                name TEXT NOT NULL UNIQUE
+            )
+            `
+  );
+
+  // CTA_USER Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS CTA_USER (
+                id      ${db.types.serialPk},
+                address TEXT NOT NULL UNIQUE
+            )
+            `
+  );
+
+  // CARD_META Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS CARD_META (
+                id          INT PRIMARY KEY,
+                name        TEXT,
+                description TEXT,
+                image_url   TEXT,
+                advancement TEXT,
+                card_type   TEXT,
+
+                element_id INT REFERENCES ELEMENT(id),
+                rarity_id  INT REFERENCES RARITY(id),
+                family_id  INT REFERENCES FAMILY(id)
+            )
+            `
+  );
+
+  // CARD Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS CARD (
+                id         INT PRIMARY KEY,
+                foil       INT,
+                rank       INT,
+                grade      TEXT,
+                animationLevel INT,
+                numbering  INT,
+                power      INT,
+                created_at TEXT,
+                updated_at TEXT,
+
+                card_meta_id INT REFERENCES CARD_META(id),
+                user_id      INT REFERENCES CTA_USER(id) 
+            )
+            `
+  );
+
+  // MINT PASS TYPE Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS MINT_PASS_TYPE (
+                id          ${db.types.serialPk},
+                pass_type   TEXT,
+                name        TEXT,
+                description TEXT,
+                image_url   TEXT
+            )
+            `
+  );
+
+  // MINT PASS Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS MINT_PASS (
+                id         INT PRIMARY KEY,
+                numbering  INT,
+                created_at TEXT,
+                updated_at TEXT,
+
+                mint_pass_type_id INT REFERENCES MINT_PASS_TYPE(id),
+                user_id           INT REFERENCES CTA_USER(id) 
+            )
+            `
+  );
+};
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const down = async (db) => {
+  for (const table of [
+    "MINT_PASS",
+    "MINT_PASS_TYPE",
+    "CARD",
+    "CARD_META",
+    "CTA_USER",
+    "FAMILY",
+    "RARITY",
+    "ELEMENT",
+    "UPDATE_HISTORY",
+  ]) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+/**
+ * Store where the IMX sync stopped, to resume from it after a restart.
+ */
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const up = async (db) => {
+  // SYNC_STATE Table (single row)
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS SYNC_STATE (
+                id                   INT PRIMARY KEY,
+                last_cursor          TEXT,
+                last_asset_timestamp TEXT,
+                last_token_id        INT,
+                updated_at           TEXT
+            )
+            `
+  );
+};
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS SYNC_STATE`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,44 @@
+/**
+ * Card ownership history (mint, transfers, burn).
+ * @note: no reference to CARD as the cards burned before migration 007 were
+ * deleted (burned cards are now kept with their burn timestamp).
+ */
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const up = async (db) => {
+  // CARD_OWNERSHIP_EVENT Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS CARD_OWNERSHIP_EVENT (
+                id              ${db.types.serialPk},
+                card_id         INT NOT NULL,
+                event_type      TEXT NOT NULL,
+                event_timestamp TEXT NOT NULL,
+
+                card_meta_id INT REFERENCES CARD_META(id),
+                from_user_id INT REFERENCES CTA_USER(id),
+                to_user_id   INT REFERENCES CTA_USER(id)
+            )
+            `
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS CARD_OWNERSHIP_EVENT_CARD_IDX ON CARD_OWNERSHIP_EVENT(card_id)`
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS CARD_OWNERSHIP_EVENT_FROM_IDX ON CARD_OWNERSHIP_EVENT(from_user_id)`
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS CARD_OWNERSHIP_EVENT_TO_IDX ON CARD_OWNERSHIP_EVENT(to_user_id)`
+  );
+};
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS CARD_OWNERSHIP_EVENT`);
+};
+
+module.exports = { up, down };
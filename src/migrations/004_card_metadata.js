@@ -0,0 +1,28 @@
+/**
+ * Card potential and status, with the raw metadata of cards and mint passes
+ * (to keep the attributes added later to the game metadata).
+ */
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const up = async (db) => {
+  await db.query(`ALTER TABLE CARD ADD COLUMN potential INT`);
+  await db.query(`ALTER TABLE CARD ADD COLUMN status TEXT`);
+  await db.query(`ALTER TABLE CARD ADD COLUMN raw_metadata ${db.types.json}`);
+  await db.query(
+    `ALTER TABLE MINT_PASS ADD COLUMN raw_metadata ${db.types.json}`
+  );
+};
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const down = async (db) => {
+  await db.query(`ALTER TABLE MINT_PASS DROP COLUMN raw_metadata`);
+  await db.query(`ALTER TABLE CARD DROP COLUMN raw_metadata`);
+  await db.query(`ALTER TABLE CARD DROP COLUMN status`);
+  await db.query(`ALTER TABLE CARD DROP COLUMN potential`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+/**
+ * Periodic snapshots of the minted supply, to chart its evolution.
+ */
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const up = async (db) => {
+  // SUPPLY_SNAPSHOT Table: card counts per meta card, foil and rank/grade,
+  // and mint pass counts per mint pass type
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS SUPPLY_SNAPSHOT (
+                id                 ${db.types.serialPk},
+                snapshot_timestamp TEXT NOT NULL,
+                foil               INT,
+                rank               INT,
+                grade              TEXT,
+                count              INT NOT NULL,
+
+                card_meta_id      INT REFERENCES CARD_META(id),
+                mint_pass_type_id INT REFERENCES MINT_PASS_TYPE(id)
+            )
+            `
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS SUPPLY_SNAPSHOT_TIMESTAMP_IDX ON SUPPLY_SNAPSHOT(snapshot_timestamp)`
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS SUPPLY_SNAPSHOT_CARD_META_IDX ON SUPPLY_SNAPSHOT(card_meta_id)`
+  );
+};
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS SUPPLY_SNAPSHOT`);
+};
+
+module.exports = { up, down };
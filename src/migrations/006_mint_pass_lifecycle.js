@@ -0,0 +1,41 @@
+/**
+ * Mint pass lifecycle: burned (i.e redeemed) mint passes are kept with their
+ * burn timestamp, and their ownership events (mint, transfers, burn) are recorded.
+ */
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const up = async (db) => {
+  await db.query(`ALTER TABLE MINT_PASS ADD COLUMN burned_at TEXT`);
+
+  // MINT_PASS_EVENT Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS MINT_PASS_EVENT (
+                id              ${db.types.serialPk},
+                mint_pass_id    INT NOT NULL,
+                event_type      TEXT NOT NULL,
+                event_timestamp TEXT NOT NULL,
+
+                mint_pass_type_id INT REFERENCES MINT_PASS_TYPE(id),
+                from_user_id      INT REFERENCES CTA_USER(id),
+                to_user_id        INT REFERENCES CTA_USER(id)
+            )
+            `
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS MINT_PASS_EVENT_PASS_IDX ON MINT_PASS_EVENT(mint_pass_id)`
+  );
+};
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS MINT_PASS_EVENT`);
+  await db.query(`DELETE FROM MINT_PASS WHERE burned_at IS NOT NULL`);
+  await db.query(`ALTER TABLE MINT_PASS DROP COLUMN burned_at`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+/**
+ * Card burns: burned cards are kept with their burn timestamp, so that the
+ * minted supply doesn't shrink when cards are burned.
+ */
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const up = async (db) => {
+  await db.query(`ALTER TABLE CARD ADD COLUMN burned_at TEXT`);
+};
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const down = async (db) => {
+  await db.query(`DELETE FROM CARD WHERE burned_at IS NOT NULL`);
+  await db.query(`ALTER TABLE CARD DROP COLUMN burned_at`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+/**
+ * Webhooks: URLs notified of the collection events (with their filters and
+ * signing secret), and the log of the event deliveries.
+ */
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const up = async (db) => {
+  // WEBHOOK Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS WEBHOOK (
+                id         ${db.types.serialPk},
+                url        TEXT NOT NULL,
+                secret     TEXT NOT NULL,
+                filters    ${db.types.json},
+                created_at TEXT NOT NULL
+            )
+            `
+  );
+
+  // WEBHOOK_DELIVERY Table
+  await db.query(
+    `
+            CREATE TABLE IF NOT EXISTS WEBHOOK_DELIVERY (
+                id              ${db.types.serialPk},
+                webhook_id      INT NOT NULL REFERENCES WEBHOOK(id),
+                event_type      TEXT NOT NULL,
+                payload         ${db.types.json},
+                status          TEXT NOT NULL,
+                attempts        INT NOT NULL,
+                response_status INT,
+                error           TEXT,
+                created_at      TEXT NOT NULL,
+                updated_at      TEXT NOT NULL
+            )
+            `
+  );
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS WEBHOOK_DELIVERY_WEBHOOK_IDX ON WEBHOOK_DELIVERY(webhook_id)`
+  );
+};
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS WEBHOOK_DELIVERY`);
+  await db.query(`DROP TABLE IF EXISTS WEBHOOK`);
+};
+
+module.exports = { up, down };
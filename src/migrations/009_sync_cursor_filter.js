@@ -0,0 +1,26 @@
+/**
+ * Store the updated_min_timestamp filter of the IMX sync cursor, as a cursor
+ * can only be used again with the filters of the request it comes from.
+ */
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const up = async (db) => {
+  await db.query(
+    `ALTER TABLE SYNC_STATE ADD COLUMN cursor_updated_min_timestamp TEXT`
+  );
+  // the filter of the cursors already stored is unknown
+  await db.query(`UPDATE SYNC_STATE SET last_cursor = NULL`);
+};
+
+/**
+ * @param db the database connection (query + dialect types).
+ */
+const down = async (db) => {
+  await db.query(
+    `ALTER TABLE SYNC_STATE DROP COLUMN cursor_updated_min_timestamp`
+  );
+};
+
+module.exports = { up, down };
@@ -0,0 +1,93 @@
+const { DEFAULT_SUPPLY_TABLE, getSupply } = require("./supply");
+
+// Supply of the most common cards (non foil standard commons), with a scarcity of 1
+const REFERENCE_SUPPLY = 800000;
+
+// Default weights of the scoring model, applied on top of the card scarcity
+const DEFAULT_SCORING_WEIGHTS = {
+  rarity: {
+    MYTHIC: 1,
+    ULTRA_RARE: 1,
+    SPECIAL_RARE: 1,
+    RARE: 1,
+    UNCOMMON: 1,
+    COMMON: 1,
+  },
+  advancement: {
+    STANDARD: 1,
+    ALTERNATIVE: 1,
+    ALTERNATIVE_COMBO: 1,
+  },
+  // the foil scarcity is already part of the supply
+  foil: 1,
+  rank: { 1: 1, 2: 1.25, 3: 1.5, 4: 1.75, 5: 2 },
+  grade: { C: 1, B: 1.25, A: 1.5, S: 2 },
+  // scarcity of the cards without known supply (e.g 'exclusive' rarity)
+  unknownSupply: 1,
+};
+
+/**
+ * Load the weights of the scoring model: the default weights, overridden by
+ * the JSON object of the SCORING_WEIGHTS env variable.
+ * @param json optional JSON object overriding the default weights.
+ * @returns the scoring weights.
+ */
+const loadScoringWeights = (json = process.env.SCORING_WEIGHTS) => {
+  if (!json) return DEFAULT_SCORING_WEIGHTS;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`invalid SCORING_WEIGHTS: ${error.message}`);
+  }
+
+  const weights = { ...DEFAULT_SCORING_WEIGHTS };
+  Object.entries(overrides).forEach(([key, value]) => {
+    weights[key] =
+      typeof value === "object" ? { ...weights[key], ...value } : value;
+  });
+  return weights;
+};
+
+/**
+ * Get the scarcity of a card, i.e the ratio between the reference supply and
+ * the supply of the card.
+ * @param card the card (card_name, family, rarity, advancement, foil).
+ * @param weights the scoring weights.
+ * @param supplyTable the card supply table.
+ */
+const getScarcity = (card, weights, supplyTable) => {
+  const supply = getSupply(card, supplyTable);
+  const cardSupply = supply && (card.foil ? supply.foil : supply.non_foil);
+
+  return cardSupply ? REFERENCE_SUPPLY / cardSupply : weights.unknownSupply;
+};
+
+/**
+ * Get the score of a card: its scarcity weighted by its rarity, advancement,
+ * foil and rank (standard cards) or grade (alternative cards).
+ * @param card the card (card_name, family, rarity, advancement, foil, rank, grade).
+ * @param weights the scoring weights.
+ * @param supplyTable the card supply table.
+ * @returns the card score.
+ */
+const getCardScore = (
+  card,
+  weights = DEFAULT_SCORING_WEIGHTS,
+  supplyTable = DEFAULT_SUPPLY_TABLE
+) => {
+  const weight = (table, key) => table?.[key] ?? 1;
+
+  return (
+    getScarcity(card, weights, supplyTable) *
+    weight(weights.rarity, card.rarity) *
+    weight(weights.advancement, card.advancement) *
+    (card.foil ? weights.foil : 1) *
+    (card.rank !== null && card.rank !== undefined
+      ? weight(weights.rank, card.rank)
+      : weight(weights.grade, card.grade))
+  );
+};
+
+module.exports = { DEFAULT_SCORING_WEIGHTS, loadScoringWeights, getCardScore };
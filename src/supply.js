@@ -0,0 +1,184 @@
+const fs = require("fs");
+const path = require("path");
+
+const { SUPPLY_FILE, percent } = require("./constants");
+
+// Supply table shipped with the server
+const DEFAULT_SUPPLY_FILE = path.join(__dirname, "..", "data", "supply.json");
+
+/**
+ * Check that a value is a supply ({ non_foil, foil } positive integers).
+ * @param supply the value to check.
+ * @param name the path of the value in the supply table.
+ */
+const validateSupply = (supply, name) => {
+  ["non_foil", "foil"].forEach((key) => {
+    if (!Number.isInteger(supply?.[key]) || supply[key] <= 0)
+      throw new Error(`'${name}.${key}' must be a positive integer`);
+  });
+};
+
+/**
+ * Check that a value is a table of supplies per rarity and advancement.
+ * @param supplies the value to check.
+ * @param name the path of the value in the supply table.
+ */
+const validateRaritySupplies = (supplies, name) => {
+  if (typeof supplies !== "object" || supplies === null)
+    throw new Error(`'${name}' must be an object`);
+
+  Object.entries(supplies).forEach(([rarity, advancements]) => {
+    if (typeof advancements !== "object" || advancements === null)
+      throw new Error(`'${name}.${rarity}' must be an object`);
+
+    Object.entries(advancements).forEach(([advancement, supply]) =>
+      validateSupply(supply, `${name}.${rarity}.${advancement}`)
+    );
+  });
+};
+
+/**
+ * Validate a supply table:
+ *   version: version of the table.
+ *   defaults: supplies ({ non_foil, foil }) per rarity and advancement.
+ *   seasons: list of seasons ({ name, sets, supplies }) whose sets (i.e card
+ *   families) have their own supplies per rarity and advancement.
+ *   cards: supplies per meta card id or name, whatever its rarity and advancement.
+ * @param table the supply table.
+ * @returns the supply table.
+ */
+const validateSupplyTable = (table) => {
+  if (typeof table !== "object" || table === null)
+    throw new Error("the supply table must be an object");
+  if (!Number.isInteger(table.version) || table.version <= 0)
+    throw new Error("'version' must be a positive integer");
+
+  validateRaritySupplies(table.defaults, "defaults");
+
+  if (!Array.isArray(table.seasons))
+    throw new Error("'seasons' must be a list");
+  const seasonSets = new Set();
+  table.seasons.forEach((season, i) => {
+    if (typeof season?.name !== "string" || !season.name)
+      throw new Error(`'seasons[${i}].name' must be a non-empty string`);
+    if (!Array.isArray(season.sets) || season.sets.length <= 0)
+      throw new Error(`'seasons[${i}].sets' must be a non-empty list`);
+    season.sets.forEach((set) => {
+      if (seasonSets.has(set))
+        throw new Error(`set '${set}' belongs to several seasons`);
+      seasonSets.add(set);
+    });
+    validateRaritySupplies(season.supplies, `seasons[${i}].supplies`);
+  });
+
+  if (typeof table.cards !== "object" || table.cards === null)
+    throw new Error("'cards' must be an object");
+  Object.entries(table.cards).forEach(([card, supply]) =>
+    validateSupply(supply, `cards.${card}`)
+  );
+
+  return table;
+};
+
+/**
+ * Load and validate a supply table file.
+ * @param filename the JSON file of the supply table.
+ * @returns the supply table.
+ */
+const loadSupplyTable = (filename = SUPPLY_FILE || DEFAULT_SUPPLY_FILE) => {
+  try {
+    return validateSupplyTable(JSON.parse(fs.readFileSync(filename)));
+  } catch (error) {
+    throw new Error(`invalid supply table '${filename}': ${error.message}`);
+  }
+};
+
+// Supply table used when none is provided
+const DEFAULT_SUPPLY_TABLE = loadSupplyTable(DEFAULT_SUPPLY_FILE);
+
+/**
+ * Find the supply rule of a card: the meta card override, then the supply of
+ * the season of its set, then the default supply of its rarity and advancement.
+ * @param card the card (id, card_name, family, rarity, advancement).
+ * @param table the supply table.
+ * @returns the supply ({ non_foil, foil }, null if unknown) and the rule
+ * ('card', 'season' with the season name, 'default', or null if unknown).
+ */
+const getSupplyRule = (card, table = DEFAULT_SUPPLY_TABLE) => {
+  const override = table.cards[card.id] || table.cards[card.card_name];
+  if (override) {
+    return { supply: { ...override }, rule: "card" };
+  }
+
+  const season = table.seasons.find((s) => s.sets.includes(card.family));
+  const seasonSupply = season?.supplies[card.rarity]?.[card.advancement];
+  if (seasonSupply) {
+    return { supply: { ...seasonSupply }, rule: "season", season: season.name };
+  }
+
+  const defaultSupply = table.defaults[card.rarity]?.[card.advancement];
+  if (defaultSupply) {
+    return { supply: { ...defaultSupply }, rule: "default" };
+  }
+
+  return { supply: null, rule: null };
+};
+
+/**
+ * Get the total supply of a card.
+ * @param card the card (id, card_name, family, rarity, advancement).
+ * @param table the supply table.
+ * @returns the foil and non foil supplies, or null if unknown (e.g 'exclusive' rarity).
+ */
+const getSupply = (card, table = DEFAULT_SUPPLY_TABLE) =>
+  getSupplyRule(card, table).supply;
+
+/**
+ * Compute the percentage of supply already minted.
+ * @param card the card statistics (with total_count_foil and total_count_non_foil).
+ * @param table the supply table.
+ */
+const getSupplyPercent = (card, table = DEFAULT_SUPPLY_TABLE) => {
+  const supply = getSupply(card, table);
+
+  return (
+    supply && {
+      foil: percent(card.total_count_foil / supply.foil),
+      non_foil: percent(card.total_count_non_foil / supply.non_foil),
+    }
+  );
+};
+
+/**
+ * Watch a supply table file and reload it when it changes. An invalid table
+ * is ignored, the previous one is kept.
+ * @param onReload callback receiving the reloaded table.
+ * @param onError callback receiving the reload error.
+ * @param filename the JSON file of the supply table.
+ * @returns the file watcher (to close).
+ */
+const watchSupplyTable = (
+  onReload,
+  onError,
+  filename = SUPPLY_FILE || DEFAULT_SUPPLY_FILE
+) =>
+  // watch the folder, as editors may replace the file instead of writing it
+  fs.watch(path.dirname(filename), (eventType, changed) => {
+    if (changed !== path.basename(filename) || !fs.existsSync(filename)) return;
+
+    try {
+      onReload(loadSupplyTable(filename));
+    } catch (error) {
+      onError(error);
+    }
+  });
+
+module.exports = {
+  DEFAULT_SUPPLY_TABLE,
+  getSupply,
+  getSupplyPercent,
+  getSupplyRule,
+  loadSupplyTable,
+  validateSupplyTable,
+  watchSupplyTable,
+};
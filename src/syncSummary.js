@@ -0,0 +1,93 @@
+const { OWNERSHIP_EVENT_TYPES } = require("./constants");
+
+/**
+ * Count the card ownership events of a type per meta card.
+ * @param ownershipEvents the card ownership events.
+ * @param type the event type.
+ * @returns the counts ({ card_meta_id, count }) ordered by meta card.
+ */
+const countPerMetaCard = (ownershipEvents, type) => {
+  const counts = new Map();
+  ownershipEvents
+    .filter((e) => e.type === type)
+    .forEach((e) => {
+      const id = parseInt(e.cardMetaId);
+      counts.set(id, (counts.get(id) || 0) + 1);
+    });
+
+  return Array.from(counts.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([card_meta_id, count]) => ({ card_meta_id, count }));
+};
+
+/**
+ * Summarize the changes of a synced assets page.
+ * @param timestamp the timestamp of the update.
+ * @param lastAssetTimestamp the update timestamp of the last asset of the page.
+ * @param assetsCount the number of assets of the page.
+ * @param ownershipEvents the ownership events of the cards of the page.
+ * @param mintPassEvents the lifecycle events of the mint passes of the page.
+ * @param newUsers the addresses of the users first seen in the page.
+ * @returns the page summary: new and burned cards per meta card, burned mint
+ * passes, new users and users whose assets changed.
+ */
+const getSyncSummary = ({
+  timestamp,
+  lastAssetTimestamp,
+  assetsCount,
+  ownershipEvents,
+  mintPassEvents,
+  newUsers,
+}) => {
+  const updatedUsers = new Set();
+  [...ownershipEvents, ...mintPassEvents].forEach((e) => {
+    if (e.from) updatedUsers.add(e.from);
+    if (e.to) updatedUsers.add(e.to);
+  });
+
+  return {
+    timestamp,
+    last_asset_timestamp: lastAssetTimestamp,
+    assets_count: assetsCount,
+    new_cards: countPerMetaCard(ownershipEvents, OWNERSHIP_EVENT_TYPES.MINT),
+    burned_cards: countPerMetaCard(ownershipEvents, OWNERSHIP_EVENT_TYPES.BURN),
+    burned_mint_pass_count: mintPassEvents.filter(
+      (e) => e.type === OWNERSHIP_EVENT_TYPES.BURN
+    ).length,
+    new_users: [...newUsers].sort(),
+    updated_users: [...updatedUsers].sort(),
+  };
+};
+
+/**
+ * Restrict a page summary to the topics of a subscriber: the meta cards
+ * restrict the card counts, the addresses restrict the users.
+ * @param summary the page summary.
+ * @param cardIds optional meta card ids.
+ * @param addresses optional user addresses.
+ * @returns the filtered summary, or undefined if it matches none of the topics.
+ */
+const filterSyncSummary = (summary, { cardIds, addresses } = {}) => {
+  if (!cardIds?.length && !addresses?.length) return summary;
+
+  const filtered = { ...summary };
+  let matches = false;
+
+  if (cardIds?.length) {
+    const byCard = (c) => cardIds.includes(c.card_meta_id);
+    filtered.new_cards = summary.new_cards.filter(byCard);
+    filtered.burned_cards = summary.burned_cards.filter(byCard);
+    matches =
+      matches || filtered.new_cards.length + filtered.burned_cards.length > 0;
+  }
+  if (addresses?.length) {
+    const byAddress = (address) => addresses.includes(address);
+    filtered.new_users = summary.new_users.filter(byAddress);
+    filtered.updated_users = summary.updated_users.filter(byAddress);
+    matches = matches || filtered.updated_users.length > 0;
+  }
+
+  return matches ? filtered : undefined;
+};
+
+module.exports = { getSyncSummary, filterSyncSummary };
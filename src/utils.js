@@ -24,4 +24,12 @@ const splitInChunks = (rows, size) => {
     return chunks;
 }
 
-module.exports = {partition, splitInChunks};
\ No newline at end of file
+/**
+ * Wait for a delay.
+ * @param {*} ms the delay in milliseconds.
+ */
+const sleep = (ms) => {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {partition, splitInChunks, sleep};
\ No newline at end of file
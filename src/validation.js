@@ -0,0 +1,165 @@
+const { ValidationError } = require("./errors");
+
+// Default and maximum number of items per page
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Check that a required parameter is present.
+ * @param value the parameter value.
+ * @param name the parameter name.
+ */
+const _required = (value, name) => {
+  if (value === undefined || value === null || value === "")
+    throw new ValidationError(name, `'${name}' is required`);
+};
+
+/**
+ * Parse an integer parameter.
+ * @param value the parameter value.
+ * @param name the parameter name.
+ * @param min the minimum allowed value.
+ * @param max the maximum allowed value.
+ * @returns the integer value.
+ */
+const parseInteger = (value, name, { min = 0, max } = {}) => {
+  _required(value, name);
+
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || (max !== undefined && n > max)) {
+    const range = max !== undefined ? `between ${min} and ${max}` : `>= ${min}`;
+    throw new ValidationError(name, `'${name}' must be an integer ${range}`);
+  }
+  return n;
+};
+
+/**
+ * Parse a card id (meta card id or token id).
+ * @param value the parameter value.
+ * @param name the parameter name.
+ * @returns the card id.
+ */
+const parseCardId = (value, name = "id") =>
+  parseInteger(value, name, { min: 1 });
+
+/**
+ * Parse an IMX wallet address (0x followed by 40 hexadecimal digits).
+ * @param value the parameter value.
+ * @param name the parameter name.
+ * @returns the address in lower case, as stored in the database.
+ */
+const parseAddress = (value, name = "address") => {
+  _required(value, name);
+
+  if (typeof value !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(value))
+    throw new ValidationError(name, `'${name}' must be a valid 0x address`);
+  return value.toLowerCase();
+};
+
+/**
+ * Parse an optional boolean parameter ('true'/'false' or '1'/'0').
+ * @param value the parameter value.
+ * @param name the parameter name.
+ * @param defaultValue the value to use when the parameter is missing.
+ * @returns the boolean value.
+ */
+const parseBoolean = (value, name, defaultValue = false) => {
+  if (value === undefined || value === "") return defaultValue;
+  if (["true", "1"].includes(value)) return true;
+  if (["false", "0"].includes(value)) return false;
+  throw new ValidationError(name, `'${name}' must be a boolean`);
+};
+
+/**
+ * Parse an optional parameter which must be one of a list of values.
+ * @param value the parameter value.
+ * @param name the parameter name.
+ * @param allowedValues the list of allowed values.
+ * @param defaultValue the value to use when the parameter is missing.
+ * @returns the parameter value.
+ */
+const parseEnum = (value, name, allowedValues, defaultValue) => {
+  if (value === undefined || value === "") return defaultValue;
+  if (!allowedValues.includes(value))
+    throw new ValidationError(
+      name,
+      `'${name}' must be one of: ${allowedValues.join(", ")}`
+    );
+  return value;
+};
+
+/**
+ * Parse an optional list parameter (comma-separated values).
+ * @param value the parameter value.
+ * @returns the list of values, or undefined if missing.
+ */
+const parseList = (value) => {
+  if (value === undefined) return undefined;
+
+  const values = (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter((v) => v !== "");
+  return values.length > 0 ? values : undefined;
+};
+
+/**
+ * Parse an optional timestamp parameter (ISO 8601 date or date-time).
+ * @param value the parameter value.
+ * @param name the parameter name.
+ * @returns the timestamp as an ISO string, or undefined if missing.
+ */
+const parseTimestamp = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+
+  const ts = typeof value === "string" ? Date.parse(value) : NaN;
+  if (isNaN(ts))
+    throw new ValidationError(name, `'${name}' must be an ISO 8601 timestamp`);
+  return new Date(ts).toISOString();
+};
+
+/**
+ * Parse an HTTP(S) URL parameter.
+ * @param value the parameter value.
+ * @param name the parameter name.
+ * @returns the URL.
+ */
+const parseUrl = (value, name = "url") => {
+  _required(value, name);
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    url = undefined;
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol))
+    throw new ValidationError(name, `'${name}' must be an HTTP(S) URL`);
+  return url.href;
+};
+
+/**
+ * Parse the pagination parameters ('page' starting at 0 and 'pageSize').
+ * @param query the request query.
+ * @returns the page index and the page size.
+ */
+const parsePagination = (query) => ({
+  pageIndex:
+    query.page !== undefined ? parseInteger(query.page, "page", { min: 0 }) : 0,
+  pageSize:
+    query.pageSize !== undefined
+      ? parseInteger(query.pageSize, "pageSize", { min: 1, max: MAX_PAGE_SIZE })
+      : DEFAULT_PAGE_SIZE,
+});
+
+module.exports = {
+  parseInteger,
+  parseCardId,
+  parseAddress,
+  parseBoolean,
+  parseEnum,
+  parseList,
+  parseTimestamp,
+  parseUrl,
+  parsePagination,
+};
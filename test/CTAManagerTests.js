@@ -0,0 +1,1191 @@
+const { expect } = require("chai");
+
+const {
+  CTAManager,
+  getOwnershipEvents,
+  getMintPassEvents,
+  getCollectionEvents,
+  getSupplyThresholdEvents,
+} = require("../src/CTAManager");
+const { SYNC_OVERLAP_IN_SECONDS } = require("../src/constants");
+const { ConstraintError } = require("../src/errors");
+
+describe("CTAManager", () => {
+  let ctaManager;
+  // assets pages returned by the IMX client
+  let pages;
+
+  const alice = "0xa11ce";
+  const bob = "0xb0b";
+
+  const cardAsset = (id, user, props = {}, metadata = {}) => ({
+    token_id: String(id),
+    user,
+    status: "imx",
+    created_at: "2022-10-01T00:00:00Z",
+    updated_at: "2022-10-01T00:00:00Z",
+    ...props,
+    metadata: {
+      tokenType: "CARD",
+      name: "Fire Dragon",
+      description: "A dragon",
+      rarity: "MYTHIC",
+      set: "DRAGONS",
+      element: "FIRE",
+      power: 10,
+      foil: false,
+      rank: 1,
+      potential: 1,
+      numbering: id,
+      image: "https://cta.com/1-a.png",
+      advancement: "STANDARD",
+      cardType: "UNIT",
+      animationLevel: 0,
+      ...metadata,
+    },
+  });
+
+  const passAsset = (id, user, props = {}, metadata = {}) => ({
+    token_id: String(id),
+    user,
+    status: "imx",
+    created_at: "2022-10-01T00:00:00Z",
+    updated_at: "2022-10-01T00:00:00Z",
+    ...props,
+    metadata: {
+      tokenType: "MINT_PASS",
+      name: "Mint Pass",
+      description: "A mint pass",
+      numbering: id,
+      image: "https://cta.com/pass_1.png",
+      ...metadata,
+    },
+  });
+
+  const cleanTables = async () => {
+    for (const table of [
+      "WEBHOOK_DELIVERY",
+      "WEBHOOK",
+      "SUPPLY_SNAPSHOT",
+      "CARD_OWNERSHIP_EVENT",
+      "MINT_PASS_EVENT",
+      "CARD",
+      "MINT_PASS",
+      "MINT_PASS_TYPE",
+      "CARD_META",
+      "CTA_USER",
+      "ELEMENT",
+      "RARITY",
+      "FAMILY",
+      "UPDATE_HISTORY",
+      "SYNC_STATE",
+    ]) {
+      await ctaManager.repository.dbService.query(`DELETE FROM ${table}`);
+    }
+  };
+
+  beforeEach(async () => {
+    ctaManager = new CTAManager();
+    await ctaManager.repository.initialize();
+    await cleanTables();
+
+    pages = [];
+    ctaManager.getNextAssets = async () => pages.shift() || [];
+  });
+
+  afterEach(async () => {
+    await ctaManager.repository.dbService.finalize();
+  });
+
+  describe("update", () => {
+    it("should skip an update requested while the previous one is running", async () => {
+      // arrange
+      let releasePage;
+      let requests = 0;
+      ctaManager.getNextAssets = async () => {
+        requests++;
+        if (requests > 1) return [];
+        await new Promise((resolve) => (releasePage = resolve));
+        return [cardAsset(1, alice)];
+      };
+
+      // act
+      const running = ctaManager.update();
+      await ctaManager.update();
+      releasePage();
+      await running;
+
+      // assert
+      expect(requests).to.equal(2);
+      const owners = await ctaManager.repository.getCardOwners([1]);
+      expect(owners.get(1).address).to.equal(alice);
+    });
+
+    it("should stop at a page violating a constraint without moving the cursor", async () => {
+      // arrange
+      ctaManager.lastCursor = "cursor-1";
+      ctaManager.getNextAssets = async () => {
+        ctaManager.lastCursor = "cursor-2";
+        return [cardAsset(1, alice)];
+      };
+      ctaManager.repository.transaction = async () => {
+        throw new ConstraintError("duplicate key");
+      };
+      const logged = [];
+      const consoleError = console.error;
+      console.error = (line) => logged.push(JSON.parse(line));
+
+      // act
+      try {
+        await ctaManager.update();
+      } finally {
+        console.error = consoleError;
+      }
+
+      // assert
+      expect(ctaManager.lastCursor).to.equal("cursor-1");
+      expect(logged).to.have.lengthOf(1);
+      expect(logged[0]).to.deep.include({
+        level: "error",
+        source: "sync",
+        type: "ConstraintError",
+        message: "duplicate key",
+        cursor: "cursor-1",
+      });
+    });
+
+    it("should resume from the stored cursor, with its filter", async () => {
+      // arrange
+      ctaManager.updatedMinTimestamp = "2022-09-30T00:00:00.000Z";
+      ctaManager.getNextAssets = async () => {
+        ctaManager.lastCursor = "cursor-1";
+        return pages.shift() || [];
+      };
+      pages = [[cardAsset(1, alice)]];
+      await ctaManager.update();
+
+      // act
+      const restarted = new CTAManager();
+      await restarted.repository.initialize();
+      await restarted._restoreSyncState();
+      await restarted.repository.dbService.finalize();
+
+      // assert
+      expect(restarted.lastCursor).to.equal("cursor-1");
+      expect(restarted.updatedMinTimestamp).to.equal(
+        "2022-09-30T00:00:00.000Z"
+      );
+    });
+
+    it("should resume from the last asset timestamp when the stored cursor is rejected", async () => {
+      // arrange
+      await ctaManager.repository.saveSyncState({
+        cursor: "expired",
+        lastAssetTimestamp: "2022-10-01T00:00:00Z",
+        lastTokenId: 1,
+      });
+      await ctaManager._restoreSyncState();
+      ctaManager.getNextAssets = async () => {
+        throw new Error("invalid cursor");
+      };
+
+      // act
+      await ctaManager.update();
+
+      // assert
+      expect(ctaManager.lastCursor).to.be.undefined;
+      expect(ctaManager.updatedMinTimestamp).to.equal(
+        new Date(
+          Date.parse("2022-10-01T00:00:00Z") - SYNC_OVERLAP_IN_SECONDS * 1000
+        ).toISOString()
+      );
+    });
+
+    it("should mute the collection events until the sync catches up", async () => {
+      // arrange
+      await ctaManager.initialize();
+      const minted = [];
+      ctaManager.on("new_meta_card", (event) =>
+        minted.push(event.card_meta_id)
+      );
+
+      // act
+      pages = [[cardAsset(1, alice)]];
+      await ctaManager.update();
+      pages = [
+        [
+          cardAsset(
+            2,
+            bob,
+            { updated_at: "2022-10-02T00:00:00Z" },
+            { image: "https://cta.com/2-a.png" }
+          ),
+        ],
+      ];
+      await ctaManager.update();
+
+      // assert
+      expect(minted).to.deep.equal([2]);
+    });
+  });
+
+  describe("getCollectionStats", () => {
+    beforeEach(async () => {
+      pages = [
+        [
+          cardAsset(1, alice),
+          cardAsset(2, bob),
+          cardAsset(3, bob, {}, { foil: true, rank: 2 }),
+          cardAsset(
+            4,
+            alice,
+            {},
+            {
+              name: "Water Elf",
+              rarity: "RARE",
+              element: "WATER",
+              image: "https://cta.com/2-a.png",
+            }
+          ),
+        ],
+      ];
+      await ctaManager.update();
+    });
+
+    it("should count the foil and non foil cards of each meta card", async () => {
+      // act
+      const stats = await ctaManager.getCollectionStats(false);
+
+      // assert
+      const dragon = stats.std_cards.find((c) => c.id === 1);
+      expect(dragon).to.deep.include({
+        total_count: 3,
+        total_count_non_foil: 2,
+        total_count_foil: 1,
+        potentials: { 1: 3 },
+      });
+      expect(dragon.ranks.standard.r1).to.equal(2);
+      expect(dragon.ranks.foil.r2).to.equal(1);
+      expect(stats.std_cards.map((c) => c.id)).to.deep.equal([1, 2]);
+      expect(stats.groups).to.be.empty;
+    });
+
+    it("should count the foil and non foil cards in separate entries", async () => {
+      // act
+      const stats = await ctaManager.getCollectionStats(true);
+
+      // assert
+      expect(
+        stats.std_cards.map(({ id, foil, total_count }) => ({
+          id,
+          foil,
+          total_count,
+        }))
+      ).to.deep.equal([
+        { id: 1, foil: false, total_count: 2 },
+        { id: 1, foil: true, total_count: 1 },
+        { id: 2, foil: false, total_count: 1 },
+      ]);
+      expect(stats.std_cards[1].ranks.foil.r2).to.equal(1);
+    });
+
+    it("should roll the counts up per group", async () => {
+      // act
+      const stats = await ctaManager.getCollectionStats(false, ["rarity"]);
+
+      // assert
+      expect(
+        stats.groups.map(({ rarity, total_count, total_count_foil }) => ({
+          rarity,
+          total_count,
+          total_count_foil,
+        }))
+      ).to.deep.equal([
+        { rarity: "MYTHIC", total_count: 3, total_count_foil: 1 },
+        { rarity: "RARE", total_count: 1, total_count_foil: 0 },
+      ]);
+    });
+
+    it("should count the burned cards in the minted supply only", async () => {
+      // arrange
+      pages = [
+        [
+          cardAsset(
+            3,
+            bob,
+            { status: "burned", updated_at: "2022-10-02T00:00:00Z" },
+            { foil: true, rank: 2 }
+          ),
+          cardAsset(
+            5,
+            bob,
+            { status: "burned", updated_at: "2022-10-02T00:00:00Z" },
+            { rank: 3 }
+          ),
+        ],
+      ];
+      await ctaManager.update();
+
+      // act
+      const stats = await ctaManager.getCollectionStats(false, ["rarity"]);
+
+      // assert
+      const dragon = stats.std_cards.find((c) => c.id === 1);
+      expect(dragon).to.deep.include({
+        total_count: 4,
+        burned_count: 2,
+        burned_count_non_foil: 1,
+        burned_count_foil: 1,
+        circulating_count: 2,
+        circulating_count_non_foil: 2,
+        circulating_count_foil: 0,
+      });
+      expect(dragon.ranks.standard).to.deep.include({ r1: 2, r3: 1 });
+      expect(dragon.burned_ranks.standard.r3).to.equal(1);
+      expect(dragon.burned_ranks.foil.r2).to.equal(1);
+      expect(dragon.circulating_ranks).to.deep.equal({
+        standard: { r1: 2, r2: 0, r3: 0, r4: 0, r5: 0 },
+        foil: { r1: 0, r2: 0, r3: 0, r4: 0, r5: 0 },
+      });
+      expect(stats.groups[0]).to.deep.include({
+        rarity: "MYTHIC",
+        total_count: 4,
+        burned_count: 2,
+        circulating_count: 2,
+      });
+    });
+  });
+
+  describe("getSupplyHistory", () => {
+    const waterElf = {
+      name: "Water Elf",
+      rarity: "RARE",
+      element: "WATER",
+      image: "https://cta.com/2-a.png",
+    };
+
+    it("should record the supply at most once per snapshot period", async () => {
+      // act
+      pages = [[cardAsset(1, alice)]];
+      await ctaManager.update();
+      pages = [[cardAsset(2, bob, { updated_at: "2022-10-02T00:00:00Z" })]];
+      await ctaManager.update();
+
+      // assert
+      const history = await ctaManager.getSupplyHistory({
+        from: "2022-01-01T00:00:00.000Z",
+        to: "2100-01-01T00:00:00.000Z",
+        bucket: "hour",
+      });
+      expect(history.series.map((s) => s.total_count)).to.deep.equal([1]);
+    });
+
+    it("should keep the last snapshot of each bucket", async () => {
+      // arrange
+      pages = [
+        [
+          cardAsset(1, alice),
+          cardAsset(2, bob, {}, { foil: true }),
+          cardAsset(3, bob, {}, waterElf),
+        ],
+      ];
+      await ctaManager.update();
+      await ctaManager.repository.recordSupplySnapshot(
+        "2022-10-01T01:00:00.000Z"
+      );
+      pages = [[cardAsset(4, alice, { updated_at: "2022-10-02T00:00:00Z" })]];
+      await ctaManager.update();
+      await ctaManager.repository.recordSupplySnapshot(
+        "2022-10-01T05:00:00.000Z"
+      );
+      await ctaManager.repository.recordSupplySnapshot(
+        "2022-10-02T01:00:00.000Z"
+      );
+
+      // act
+      const range = {
+        from: "2022-10-01T00:00:00.000Z",
+        to: "2022-10-31T00:00:00.000Z",
+        bucket: "day",
+      };
+      const mythics = await ctaManager.getSupplyHistory({
+        ...range,
+        rarity: "mythic",
+      });
+      const elves = await ctaManager.getSupplyHistory({ ...range, cardId: 2 });
+
+      // assert
+      expect(mythics.series).to.deep.equal([
+        {
+          timestamp: "2022-10-01T00:00:00.000Z",
+          snapshot_timestamp: "2022-10-01T05:00:00.000Z",
+          total_count: 3,
+          total_count_non_foil: 2,
+          total_count_foil: 1,
+        },
+        {
+          timestamp: "2022-10-02T00:00:00.000Z",
+          snapshot_timestamp: "2022-10-02T01:00:00.000Z",
+          total_count: 3,
+          total_count_non_foil: 2,
+          total_count_foil: 1,
+        },
+      ]);
+      expect(elves.series.map((s) => s.total_count)).to.deep.equal([1, 1]);
+    });
+  });
+
+  describe("getUserCollection", () => {
+    beforeEach(async () => {
+      pages = [
+        [
+          cardAsset(1, alice),
+          cardAsset(2, alice, {}, { foil: true, rank: 2 }),
+          cardAsset(
+            3,
+            alice,
+            {},
+            {
+              name: "Water Elf",
+              rarity: "RARE",
+              element: "WATER",
+              image: "https://cta.com/2-a.png",
+            }
+          ),
+          cardAsset(4, alice, { status: "burned" }),
+          cardAsset(5, bob),
+        ],
+      ];
+      await ctaManager.update();
+    });
+
+    it("should group the cards of the user per meta card", async () => {
+      // act
+      const firstPage = await ctaManager.getUserCollection(alice, {
+        groupByCard: true,
+        pageIndex: 0,
+        pageSize: 1,
+      });
+      const secondPage = await ctaManager.getUserCollection(alice, {
+        groupByCard: true,
+        pageIndex: 1,
+        pageSize: 1,
+      });
+
+      // assert
+      expect(firstPage).to.deep.include({ total: 2, page: 0, page_size: 1 });
+      expect(firstPage.collection).to.have.lengthOf(1);
+      expect(firstPage.collection[0]).to.deep.include({
+        card_meta_id: 1,
+        total_count: 2,
+        total_count_non_foil: 1,
+        total_count_foil: 1,
+      });
+      expect(firstPage.collection[0].ranks.standard.r1).to.equal(1);
+      expect(firstPage.collection[0].ranks.foil.r2).to.equal(1);
+      expect(secondPage.collection.map((g) => g.card_meta_id)).to.deep.equal([
+        2,
+      ]);
+    });
+
+    it("should filter and paginate the cards of the user", async () => {
+      // act
+      const mythics = await ctaManager.getUserCollection(alice, {
+        filters: { rarity: ["mythic"] },
+      });
+      const nonFoils = await ctaManager.getUserCollection(alice, {
+        filters: { foil: false },
+        pageIndex: 1,
+        pageSize: 1,
+      });
+
+      // assert
+      expect(mythics.total).to.equal(2);
+      expect(mythics.collection.map((c) => c.id)).to.deep.equal([1, 2]);
+      expect(nonFoils).to.deep.include({ total: 2, page: 1, page_size: 1 });
+      expect(nonFoils.collection.map((c) => c.id)).to.deep.equal([3]);
+    });
+  });
+
+  describe("getUserCompletion", () => {
+    it("should compare the meta cards owned by the user with the collection", async () => {
+      // arrange
+      const waterElf = {
+        name: "Water Elf",
+        rarity: "RARE",
+        element: "WATER",
+        image: "https://cta.com/2-a.png",
+      };
+      pages = [
+        [
+          cardAsset(1, alice, {}, { foil: true }),
+          cardAsset(2, alice, { status: "burned" }, waterElf),
+          cardAsset(3, bob, {}, waterElf),
+          cardAsset(
+            4,
+            bob,
+            {},
+            {
+              name: "Earth Goblin",
+              rarity: "COMMON",
+              element: "EARTH",
+              image: "https://cta.com/3-a.png",
+            }
+          ),
+        ],
+      ];
+      await ctaManager.update();
+
+      // act
+      const completion = await ctaManager.getUserCompletion(alice);
+
+      // assert
+      expect(completion.total).to.deep.equal({
+        owned: 1,
+        owned_foil: 1,
+        total: 3,
+        percent: 33.33,
+        percent_foil: 33.33,
+      });
+      expect(completion.elements.FIRE).to.deep.include({
+        owned: 1,
+        total: 1,
+        percent: 100,
+      });
+      expect(completion.rarities.RARE).to.deep.include({
+        owned: 0,
+        total: 1,
+        percent: 0,
+      });
+      expect(completion.families.DRAGONS.total).to.equal(3);
+      expect(completion.missing.map((m) => m.name)).to.deep.equal([
+        "Water Elf",
+        "Earth Goblin",
+      ]);
+      expect(completion.missing_foil.map((m) => m.id)).to.deep.equal([2, 3]);
+    });
+  });
+
+  describe("compareUsers", () => {
+    it("should find the unique, overlapping and tradeable meta cards", async () => {
+      // arrange
+      const carol = "0xca401";
+      pages = [
+        [
+          cardAsset(1, alice),
+          cardAsset(2, alice),
+          cardAsset(3, alice, {}, { foil: true }),
+          cardAsset(
+            4,
+            alice,
+            {},
+            {
+              name: "Water Elf",
+              rarity: "RARE",
+              element: "WATER",
+              image: "https://cta.com/2-a.png",
+            }
+          ),
+          cardAsset(5, bob),
+          cardAsset(6, carol, { status: "burned" }),
+        ],
+      ];
+      await ctaManager.update();
+
+      // act
+      const comparison = await ctaManager.compareUsers([alice, bob, carol]);
+
+      // assert
+      expect(
+        comparison.cards.map(({ card_meta_id, counts, foil_counts }) => ({
+          card_meta_id,
+          counts,
+          foil_counts,
+        }))
+      ).to.deep.equal([
+        {
+          card_meta_id: 1,
+          counts: { [alice]: 3, [bob]: 1, [carol]: 0 },
+          foil_counts: { [alice]: 1, [bob]: 0, [carol]: 0 },
+        },
+        {
+          card_meta_id: 2,
+          counts: { [alice]: 1, [bob]: 0, [carol]: 0 },
+          foil_counts: { [alice]: 0, [bob]: 0, [carol]: 0 },
+        },
+      ]);
+      expect(comparison.unique).to.deep.equal({
+        [alice]: [2],
+        [bob]: [],
+        [carol]: [],
+      });
+      expect(comparison.overlapping).to.deep.equal([
+        { card_meta_id: 1, holders: [alice, bob] },
+      ]);
+      expect(comparison.tradeable).to.deep.equal([
+        { card_meta_id: 1, from: alice, to: carol, duplicates: 2 },
+      ]);
+    });
+  });
+
+  describe("getLeaderboard", () => {
+    const carol = "0xca401";
+
+    beforeEach(async () => {
+      pages = [
+        [
+          cardAsset(1, alice),
+          cardAsset(2, alice, {}, { foil: true }),
+          cardAsset(
+            3,
+            bob,
+            {},
+            {
+              name: "Water Elf",
+              rarity: "RARE",
+              element: "WATER",
+              image: "https://cta.com/2-a.png",
+            }
+          ),
+          passAsset(4, bob),
+          passAsset(5, bob),
+          passAsset(6, carol),
+        ],
+      ];
+      await ctaManager.update();
+    });
+
+    it("should rank the users of each leaderboard", async () => {
+      // act
+      const { boards } = await ctaManager.computeLeaderboards();
+
+      // assert
+      const ranking = (board) => board.map((u) => [u.rank, u.address]);
+      expect(ranking(boards.score)).to.deep.equal([
+        [1, alice],
+        [2, bob],
+      ]);
+      expect(boards.score[0]).to.deep.include({
+        card_count: 2,
+        foil_count: 1,
+        mythic_count: 2,
+        mint_pass_count: 0,
+      });
+      expect(boards.score[0].score).to.be.above(boards.score[1].score);
+      expect(ranking(boards.foils)).to.deep.equal([[1, alice]]);
+      expect(ranking(boards.mythics)).to.deep.equal([[1, alice]]);
+      expect(ranking(boards.mintPasses)).to.deep.equal([
+        [1, bob],
+        [2, carol],
+      ]);
+    });
+
+    it("should get a page of a leaderboard", async () => {
+      // act
+      const page = await ctaManager.getLeaderboard("mintPasses", 1, 1);
+
+      // assert
+      expect(page).to.deep.include({
+        board: "mintPasses",
+        total: 2,
+        page: 1,
+        page_size: 1,
+      });
+      expect(page.users).to.have.lengthOf(1);
+      expect(page.users[0]).to.deep.include({
+        rank: 2,
+        address: carol,
+        mint_pass_count: 1,
+      });
+    });
+  });
+
+  describe("getTokens", () => {
+    beforeEach(async () => {
+      pages = [[cardAsset(1, alice), cardAsset(2, alice), passAsset(3, bob)]];
+      await ctaManager.update();
+      pages = [
+        [
+          cardAsset(2, alice, {
+            status: "burned",
+            updated_at: "2022-10-02T00:00:00Z",
+          }),
+        ],
+      ];
+      await ctaManager.update();
+    });
+
+    it("should get the cards and mint passes, with their owner", async () => {
+      // act
+      const { tokens, not_found } = await ctaManager.getTokens([3, 1, 99, 2]);
+
+      // assert
+      expect(
+        tokens.map(({ id, token_type, owner, last_owner, burned }) => ({
+          id,
+          token_type,
+          owner,
+          last_owner,
+          burned,
+        }))
+      ).to.deep.equal([
+        {
+          id: 3,
+          token_type: "MINT_PASS",
+          owner: bob,
+          last_owner: undefined,
+          burned: false,
+        },
+        {
+          id: 1,
+          token_type: "CARD",
+          owner: alice,
+          last_owner: undefined,
+          burned: false,
+        },
+        {
+          id: 2,
+          token_type: "CARD",
+          owner: null,
+          last_owner: alice,
+          burned: true,
+        },
+      ]);
+      expect(tokens[1]).to.deep.include({
+        foil: false,
+        card_meta_id: 1,
+        name: "Fire Dragon",
+      });
+      expect(tokens[2].burned_at).to.equal("2022-10-02T00:00:00Z");
+      expect(not_found).to.deep.equal([99]);
+    });
+
+    it("should identify the burned cards no longer stored by their burn event", async () => {
+      // arrange: card deleted at burn time before burned cards were kept
+      await ctaManager.repository.dbService.query(
+        "DELETE FROM CARD WHERE id = 2"
+      );
+
+      // act
+      const { tokens } = await ctaManager.getTokens([2]);
+
+      // assert
+      expect(tokens).to.have.lengthOf(1);
+      expect(tokens[0]).to.deep.include({
+        id: 2,
+        token_type: "CARD",
+        owner: null,
+        last_owner: alice,
+        burned: true,
+        burned_at: "2022-10-02T00:00:00Z",
+        name: "Fire Dragon",
+      });
+    });
+  });
+
+  describe("mint pass redemptions", () => {
+    beforeEach(async () => {
+      pages = [
+        [
+          passAsset(1, alice),
+          passAsset(2, alice),
+          passAsset(3, alice),
+          passAsset(5, bob, {}, { image: "https://cta.com/pass_2.png" }),
+        ],
+      ];
+      await ctaManager.update();
+      pages = [
+        [
+          passAsset(1, alice, {
+            status: "burned",
+            updated_at: "2022-10-02T00:00:00Z",
+          }),
+          passAsset(2, alice, {
+            status: "burned",
+            updated_at: "2022-10-03T00:00:00Z",
+          }),
+          passAsset(4, alice, {
+            status: "burned",
+            updated_at: "2022-10-03T00:00:00Z",
+          }),
+        ],
+      ];
+      await ctaManager.update();
+    });
+
+    it("should count the minted, redeemed and outstanding mint passes", async () => {
+      // act
+      const { mint_passes } = await ctaManager.getCollectionStats();
+
+      // assert
+      expect(
+        mint_passes.map(
+          ({
+            minted_count,
+            redeemed_count,
+            outstanding_count,
+            redemption_rate,
+          }) => ({
+            minted_count,
+            redeemed_count,
+            outstanding_count,
+            redemption_rate,
+          })
+        )
+      ).to.deep.equal([
+        {
+          minted_count: 4,
+          redeemed_count: 3,
+          outstanding_count: 1,
+          redemption_rate: 75,
+        },
+        {
+          minted_count: 1,
+          redeemed_count: 0,
+          outstanding_count: 1,
+          redemption_rate: 0,
+        },
+      ]);
+    });
+
+    it("should get the redemptions of a time range, with their cumulated rate", async () => {
+      // act
+      const history = await ctaManager.getRedemptionHistory({
+        passType: "pass_1",
+        from: "2022-10-03T00:00:00.000Z",
+        to: "2022-10-31T00:00:00.000Z",
+        bucket: "day",
+      });
+
+      // assert
+      expect(history.minted_count).to.equal(4);
+      expect(history.series).to.deep.equal([
+        {
+          timestamp: "2022-10-03T00:00:00.000Z",
+          redeemed_count: 2,
+          total_redeemed_count: 3,
+          redemption_rate: 75,
+        },
+      ]);
+    });
+  });
+
+  describe("getOwnershipEvents", () => {
+    const burned = { status: "burned", updated_at: "2022-10-02T00:00:00Z" };
+
+    it("should get the mints, transfers and burns of the cards", () => {
+      // arrange
+      const assets = [
+        cardAsset(1, alice),
+        cardAsset(2, bob, { updated_at: "2022-10-02T00:00:00Z" }),
+        cardAsset(3, alice),
+        cardAsset(4, alice, burned),
+        cardAsset(5, alice, burned),
+      ];
+      const previousOwners = new Map([
+        [2, { card_meta_id: 1, address: alice }],
+        [3, { card_meta_id: 1, address: alice }],
+        [4, { card_meta_id: 1, address: alice }],
+        [5, { card_meta_id: 1, address: alice, burned_at: "2022-10-01" }],
+      ]);
+
+      // act
+      const events = getOwnershipEvents(assets, previousOwners);
+
+      // assert
+      expect(events).to.deep.equal([
+        {
+          cardId: 1,
+          cardMetaId: "1",
+          type: "MINT",
+          timestamp: "2022-10-01T00:00:00Z",
+          to: alice,
+        },
+        {
+          cardId: 2,
+          cardMetaId: 1,
+          type: "TRANSFER",
+          timestamp: "2022-10-02T00:00:00Z",
+          from: alice,
+          to: bob,
+        },
+        {
+          cardId: 4,
+          cardMetaId: 1,
+          type: "BURN",
+          timestamp: "2022-10-02T00:00:00Z",
+          from: alice,
+        },
+      ]);
+    });
+
+    it("should mint and burn the tokens burned before being stored", () => {
+      // act
+      const cardEvents = getOwnershipEvents(
+        [cardAsset(1, alice, burned)],
+        new Map()
+      );
+      const passEvents = getMintPassEvents(
+        [passAsset(1, alice, burned)],
+        new Map()
+      );
+
+      // assert
+      [cardEvents, passEvents].forEach((events) =>
+        expect(
+          events.map(({ type, from, to }) => ({ type, from, to }))
+        ).to.deep.equal([
+          { type: "MINT", from: undefined, to: undefined },
+          { type: "BURN", from: undefined, to: undefined },
+        ])
+      );
+    });
+
+    it("should record the mint and the burn of a card burned before being stored", async () => {
+      // act
+      pages = [[cardAsset(1, alice, burned)]];
+      await ctaManager.update();
+
+      // assert
+      const history = await ctaManager.repository.getCardOwnershipHistory(1);
+      expect(history.map((e) => e.event_type)).to.deep.equal(["MINT", "BURN"]);
+    });
+  });
+
+  describe("getCollectionEvents", () => {
+    it("should get the new meta cards, notable mints, burns and transfers", () => {
+      // arrange
+      const metaCards = new Map([
+        ["1", { id: "1", name: "Fire Dragon", rarity: "MYTHIC" }],
+        ["2", { id: "2", name: "Water Elf", rarity: "RARE" }],
+      ]);
+      const cards = new Map([
+        ["1", { foil: false, numbering: 1 }],
+        ["2", { foil: true, numbering: 2 }],
+        ["3", { foil: false, numbering: 3 }],
+      ]);
+      const timestamp = "2022-10-02T00:00:00Z";
+      const mint = (cardId, cardMetaId) => ({
+        cardId,
+        cardMetaId,
+        type: "MINT",
+        timestamp,
+        to: alice,
+      });
+
+      // act
+      const events = getCollectionEvents({
+        timestamp,
+        metaCards,
+        storedMetaCardIds: new Set([1]),
+        cards,
+        ownershipEvents: [
+          mint(1, "1"),
+          mint(2, "2"),
+          mint(3, "2"),
+          { cardId: 4, cardMetaId: 1, type: "TRANSFER", from: alice, to: bob },
+          { cardId: 5, cardMetaId: 1, type: "BURN", from: bob },
+        ],
+        mintPassEvents: [
+          { passId: 6, passType: "pass_1", type: "MINT", to: alice },
+          { passId: 7, passType: "pass_1", type: "BURN", from: alice },
+        ],
+      });
+
+      // assert
+      expect(
+        events.map(({ type, token_type, token_id, card_meta_id, foil }) => ({
+          type,
+          token_type,
+          token_id,
+          card_meta_id,
+          foil,
+        }))
+      ).to.deep.equal([
+        {
+          type: "new_meta_card",
+          token_type: undefined,
+          token_id: undefined,
+          card_meta_id: 2,
+          foil: undefined,
+        },
+        {
+          type: "mint",
+          token_type: "CARD",
+          token_id: 1,
+          card_meta_id: 1,
+          foil: false,
+        },
+        {
+          type: "mint",
+          token_type: "CARD",
+          token_id: 2,
+          card_meta_id: 2,
+          foil: true,
+        },
+        {
+          type: "transfer",
+          token_type: "CARD",
+          token_id: 4,
+          card_meta_id: 1,
+          foil: undefined,
+        },
+        {
+          type: "burn",
+          token_type: "CARD",
+          token_id: 5,
+          card_meta_id: 1,
+          foil: undefined,
+        },
+        {
+          type: "burn",
+          token_type: "MINT_PASS",
+          token_id: 7,
+          card_meta_id: undefined,
+          foil: undefined,
+        },
+      ]);
+      expect(events[2]).to.deep.include({
+        card_name: "Water Elf",
+        rarity: "RARE",
+        numbering: 2,
+        to: alice,
+      });
+      expect(events[5]).to.deep.include({ pass_type: "pass_1", from: alice });
+    });
+  });
+
+  describe("getSupplyThresholdEvents", () => {
+    it("should get the supply thresholds crossed by the minted supply", () => {
+      // arrange
+      const supplyTable = {
+        defaults: {},
+        seasons: [],
+        cards: { 1: { non_foil: 4, foil: 2 } },
+      };
+      const metaCards = new Map([
+        ["1", { id: "1", name: "Fire Dragon", rarity: "MYTHIC" }],
+        ["2", { id: "2", name: "Water Elf", rarity: "EXCLUSIVE" }],
+      ]);
+
+      // act
+      const events = getSupplyThresholdEvents({
+        timestamp: "2022-10-02T00:00:00Z",
+        metaCards,
+        countsBefore: [{ card_meta_id: 1, foil: 0, count: 1 }],
+        countsAfter: [
+          { card_meta_id: 1, foil: 0, count: 3 },
+          { card_meta_id: 1, foil: 1, count: 1 },
+          { card_meta_id: 2, foil: 0, count: 10 },
+        ],
+        supplyTable,
+      });
+
+      // assert
+      expect(
+        events.map(({ foil, threshold, minted_count, supply_percent }) => ({
+          foil,
+          threshold,
+          minted_count,
+          supply_percent,
+        }))
+      ).to.deep.equal([
+        { foil: false, threshold: 50, minted_count: 3, supply_percent: 75 },
+        { foil: false, threshold: 75, minted_count: 3, supply_percent: 75 },
+        { foil: true, threshold: 25, minted_count: 1, supply_percent: 50 },
+        { foil: true, threshold: 50, minted_count: 1, supply_percent: 50 },
+      ]);
+      expect(events[0]).to.deep.include({
+        type: "supply_threshold",
+        card_meta_id: 1,
+        card_name: "Fire Dragon",
+        supply: 4,
+      });
+    });
+  });
+
+  describe("getUserHistory", () => {
+    it("should count the cards held before the events were recorded", async () => {
+      // arrange: cards stored before the ownership events were recorded
+      pages = [[cardAsset(1, alice), cardAsset(2, alice)]];
+      await ctaManager.update();
+      await ctaManager.repository.dbService.query(
+        "DELETE FROM CARD_OWNERSHIP_EVENT"
+      );
+      pages = [
+        [
+          cardAsset(1, bob, { updated_at: "2022-10-02T00:00:00Z" }),
+          cardAsset(3, alice, {
+            created_at: "2022-10-03T00:00:00Z",
+            updated_at: "2022-10-03T00:00:00Z",
+          }),
+        ],
+      ];
+      await ctaManager.update();
+
+      // act
+      const history = await ctaManager.getUserHistory(alice);
+      const lastDays = await ctaManager.getUserHistory(
+        alice,
+        "2022-10-03T00:00:00Z"
+      );
+
+      // assert
+      expect(history.start_holdings).to.deep.equal({ MYTHIC: 2 });
+      expect(
+        history.daily.map(({ date, holdings }) => ({ date, holdings }))
+      ).to.deep.equal([
+        { date: "2022-10-02", holdings: { MYTHIC: 1 } },
+        { date: "2022-10-03", holdings: { MYTHIC: 2 } },
+      ]);
+      expect(lastDays.start_holdings).to.deep.equal({ MYTHIC: 1 });
+      expect(lastDays.daily).to.have.lengthOf(1);
+    });
+
+    it("should not count the events of the first day before the time range", async () => {
+      // arrange
+      pages = [[cardAsset(1, alice), cardAsset(2, alice)]];
+      await ctaManager.update();
+      await ctaManager.repository.dbService.query(
+        "DELETE FROM CARD_OWNERSHIP_EVENT"
+      );
+      pages = [
+        [
+          cardAsset(1, bob, { updated_at: "2022-10-02T08:00:00Z" }),
+          cardAsset(3, alice, {
+            created_at: "2022-10-02T12:00:00Z",
+            updated_at: "2022-10-02T12:00:00Z",
+          }),
+        ],
+      ];
+      await ctaManager.update();
+
+      // act
+      const history = await ctaManager.getUserHistory(
+        alice,
+        "2022-10-02T10:00:00Z"
+      );
+
+      // assert
+      expect(history.start_holdings).to.deep.equal({ MYTHIC: 1 });
+      expect(
+        history.daily.map(({ date, gained, lost, net, holdings }) => ({
+          date,
+          gained,
+          lost,
+          net,
+          holdings,
+        }))
+      ).to.deep.equal([
+        {
+          date: "2022-10-02",
+          gained: 1,
+          lost: 0,
+          net: 1,
+          holdings: { MYTHIC: 2 },
+        },
+      ]);
+      expect(history.events).to.have.lengthOf(1);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+
+const { DatabaseService } = require("../src/DatabaseService");
+
+/**
+ * Timings of the bulk operations of the database service, compared to one statement
+ * per row. The test suite runs them on a few rows, `npm run benchmark` on 2000 rows
+ * (or BENCHMARK_ROW_COUNT rows).
+ */
+describe("DatabaseService benchmarks", () => {
+  const ROW_COUNT = parseInt(process.env.BENCHMARK_ROW_COUNT) || 200;
+  let dbService;
+
+  const rows = (version) =>
+    Array.from({ length: ROW_COUNT }, (v, i) => ({
+      id: i + 1,
+      label: `label ${i} v${version}`,
+      amount: i * version,
+    }));
+
+  /**
+   * Time an async operation.
+   * @returns the duration in milliseconds.
+   */
+  const timeIt = async (operation) => {
+    const start = process.hrtime.bigint();
+    await operation();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+  };
+
+  before(async () => {
+    dbService = new DatabaseService();
+    await dbService.initialize();
+    await dbService.query(
+      `
+            CREATE TABLE IF NOT EXISTS Benchmark (
+                id     INT PRIMARY KEY,
+                label  TEXT,
+                amount INT
+            )
+            `
+    );
+  });
+
+  beforeEach(async () => {
+    await dbService.query("DELETE FROM Benchmark");
+    await dbService.upsert(
+      "Benchmark",
+      ["id", "label", "amount"],
+      "id",
+      rows(1),
+      true
+    );
+  });
+
+  after(async () => {
+    await dbService.query("DROP TABLE IF EXISTS Benchmark");
+    await dbService.finalize();
+  });
+
+  it("should update existing rows in bulk vs. one UPDATE per row", async () => {
+    // act
+    const perRowDuration = await timeIt(async () => {
+      for (const row of rows(2)) {
+        await dbService.query(
+          "UPDATE Benchmark SET label = $1, amount = $2 WHERE id = $3",
+          [row.label, row.amount, row.id]
+        );
+      }
+    });
+    let updated;
+    const bulkDuration = await timeIt(async () => {
+      updated = await dbService.update(
+        "Benchmark",
+        ["label", "amount"],
+        "id",
+        rows(3)
+      );
+    });
+
+    // assert
+    console.log(
+      `      ${ROW_COUNT} rows updated: ${perRowDuration.toFixed(
+        1
+      )}ms with one UPDATE per row vs. ${bulkDuration.toFixed(1)}ms in bulk`
+    );
+    expect(updated).to.equal(ROW_COUNT);
+  }).timeout(30000);
+
+  it("should upsert a page of mostly existing rows in bulk", async () => {
+    // arrange
+    const page = [
+      ...rows(2).slice(0, ROW_COUNT - 100),
+      ...Array.from({ length: 100 }, (v, i) => ({
+        id: ROW_COUNT + i + 1,
+        label: "new",
+        amount: 0,
+      })),
+    ];
+
+    // act
+    let counts;
+    const duration = await timeIt(async () => {
+      counts = await dbService.upsert(
+        "Benchmark",
+        ["id", "label", "amount"],
+        "id",
+        page,
+        true
+      );
+    });
+
+    // assert
+    console.log(
+      `      ${page.length} rows upserted in bulk: ${duration.toFixed(1)}ms`
+    );
+    expect(counts).to.deep.equal({ inserted: 100, updated: ROW_COUNT - 100 });
+  }).timeout(30000);
+});
@@ -1,11 +1,12 @@
 const { assert, expect } = require("chai");
-const { Client } = require("pg");
-const format = require("pg-format");
 
 const { DatabaseService } = require("../src/DatabaseService");
+const { ConstraintError, QuerySyntaxError } = require("../src/errors");
+const { createDriver } = require("../src/drivers");
 
 describe("DatabaseService", () => {
-  const client = new Client();
+  // separate connection used to prepare and check the test data
+  const client = createDriver();
   let dbService;
 
   const persons = [
@@ -27,7 +28,7 @@ describe("DatabaseService", () => {
     await client.query(
       `
             CREATE TABLE IF NOT EXISTS Person (
-                id        SERIAL PRIMARY KEY,
+                id        ${client.types.serialPk},
                 firstname TEXT,
                 lastname  TEXT
             )
@@ -41,10 +42,8 @@ describe("DatabaseService", () => {
 
   const fillTables = async () => {
     await client.query(
-      format(
-        `INSERT INTO Person(firstname, lastname) VALUES %L`,
-        persons.map((p) => [p.firstname, p.lastname])
-      )
+      `INSERT INTO Person(firstname, lastname) VALUES ($1, $2), ($3, $4)`,
+      persons.flatMap((p) => [p.firstname, p.lastname])
     );
   };
 
@@ -53,20 +52,13 @@ describe("DatabaseService", () => {
   };
 
   const getPersons = async () => {
-    const { rows } = await client.query(
-      "select id, firstname, lastname from Person"
-    );
-    return rows;
+    return await client.query("select id, firstname, lastname from Person");
   };
   const getPersonsWithoutIds = async () => {
-    const { rows } = await client.query(
-      "select firstname, lastname from Person"
-    );
-    return rows;
+    return await client.query("select firstname, lastname from Person");
   };
 
   before(async () => {
-    await client.connect();
     await createSchema();
   });
 
@@ -95,6 +87,34 @@ describe("DatabaseService", () => {
     });
   });
 
+  describe("errors", () => {
+    const queryError = async (query, params) => {
+      try {
+        await dbService.query(query, params);
+      } catch (error) {
+        return error;
+      }
+    };
+
+    it("should throw a QuerySyntaxError on an invalid query", async () => {
+      const error = await queryError("SELECT unknown_field FROM Person");
+
+      expect(error).to.be.instanceOf(QuerySyntaxError);
+      expect(error.query).to.equal("SELECT unknown_field FROM Person");
+    });
+
+    it("should throw a ConstraintError on a duplicate primary key", async () => {
+      const [person] = await getPersons();
+
+      const error = await queryError(
+        "INSERT INTO Person(id, firstname) VALUES ($1, $2)",
+        [person.id, "john"]
+      );
+
+      expect(error).to.be.instanceOf(ConstraintError);
+    });
+  });
+
   describe("insert", () => {
     it("should insert 2 new persons", async () => {
       // arrange
@@ -160,6 +180,39 @@ describe("DatabaseService", () => {
       rows = await getPersons();
       expect(rows).to.include.deep.members(updatedPersons);
     });
+
+    it("should only update the given fields of the existing rows", async () => {
+      // arrange
+      await client.query(
+        `
+            CREATE TABLE Planet (
+                id     INT PRIMARY KEY,
+                name   TEXT NOT NULL,
+                radius INT NOT NULL
+            )
+            `
+      );
+      await client.query(
+        "INSERT INTO Planet(id, name, radius) VALUES ($1, $2, $3)",
+        [1, "earth", 6000]
+      );
+
+      try {
+        // act
+        const updated = await dbService.update("Planet", ["radius"], "id", [
+          { id: 1, radius: 6371 },
+          { id: 2, radius: 3389 },
+        ]);
+
+        // assert
+        expect(updated).to.equal(1);
+        expect(await client.query("SELECT * FROM Planet")).to.deep.equal([
+          { id: 1, name: "earth", radius: 6371 },
+        ]);
+      } finally {
+        await client.query("DROP TABLE Planet");
+      }
+    });
   });
 
   describe("upsert", () => {
@@ -223,4 +276,132 @@ describe("DatabaseService", () => {
       );
     });
   });
+
+  describe("bulk update", () => {
+    // more rows than a single statement handles
+    const ROW_COUNT = 1200;
+
+    it("should update the rows of several chunks", async () => {
+      // arrange
+      const newPersons = Array.from({ length: ROW_COUNT }, (v, i) => ({
+        firstname: `firstname ${i}`,
+        lastname: `lastname ${i}`,
+      }));
+      await dbService.insert(
+        "Person",
+        ["firstname", "lastname"],
+        "id",
+        newPersons
+      );
+      const updatedPersons = (await getPersons()).map((p) => ({
+        ...p,
+        lastname: `${p.lastname} v2`,
+      }));
+
+      // act
+      const updated = await dbService.update(
+        "Person",
+        ["lastname"],
+        "id",
+        updatedPersons
+      );
+
+      // assert
+      expect(updated).to.equal(ROW_COUNT + persons.length);
+      expect(await getPersons()).to.have.deep.members(updatedPersons);
+    });
+  });
+
+  describe("upsert with pk", () => {
+    it("should return the number of inserted and updated persons", async () => {
+      // arrange
+      const persons = await getPersons();
+
+      const updatedPersons = [
+        { ...persons[0], firstname: "marilyn", lastname: "monroe" },
+      ];
+      const newPersons = [
+        { id: 99999, firstname: "bob", lastname: "marley" },
+        { id: 99998, firstname: "eric", lastname: "clapton" },
+      ];
+
+      // act
+      const counts = await dbService.upsert(
+        "Person",
+        ["id", "firstname", "lastname"],
+        "id",
+        [...updatedPersons, ...newPersons],
+        true
+      );
+
+      // assert
+      expect(counts).to.deep.equal({ inserted: 2, updated: 1 });
+      expect(await getPersons()).to.have.deep.members([
+        ...updatedPersons,
+        persons[1],
+        ...newPersons,
+      ]);
+    });
+  });
+
+  describe("transaction", () => {
+    const newPerson = { firstname: "marilyn", lastname: "monroe" };
+
+    it("should commit all operations when the callback succeeds", async () => {
+      // act
+      await dbService.transaction(async (tx) => {
+        await tx.insert("Person", ["firstname", "lastname"], "id", [newPerson]);
+        await tx.delete("Person", [(await getPersons())[0].id]);
+      });
+
+      // assert
+      const rows = await getPersonsWithoutIds();
+      expect(rows).to.have.lengthOf(2);
+      expect(rows).to.deep.include(newPerson);
+    });
+
+    it("should rollback all operations when the callback fails", async () => {
+      // act
+      let error;
+      try {
+        await dbService.transaction(async (tx) => {
+          await tx.insert("Person", ["firstname", "lastname"], "id", [
+            newPerson,
+          ]);
+          await tx.query("SELECT unknown_field FROM Person");
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      // assert
+      expect(error).to.be.instanceOf(QuerySyntaxError);
+      expect(await getPersonsWithoutIds()).to.have.deep.members(persons);
+    });
+
+    it("should keep the queries issued meanwhile out of the transaction", async () => {
+      // act
+      let inserted;
+      try {
+        await dbService.transaction(async (tx) => {
+          inserted = dbService.insert(
+            "Person",
+            ["firstname", "lastname"],
+            "id",
+            [newPerson]
+          );
+          await tx.query("SELECT unknown_field FROM Person");
+        });
+      } catch (e) {
+        // rolled back
+      }
+      await inserted;
+
+      // assert
+      expect(await getPersonsWithoutIds()).to.have.deep.members([
+        ...persons,
+        newPerson,
+      ]);
+    });
+  });
 });
@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+
+const { DatabaseService } = require("../src/DatabaseService");
+const { Migrator } = require("../src/Migrator");
+
+describe("Migrator", () => {
+  let dbService;
+
+  // version table of the test migrations, so that the CTA schema history is kept
+  const VERSION_TABLE = "MIGRATION_TEST_VERSION";
+
+  // test migrations, independent from the CTA schema
+  const migrations = [
+    {
+      version: 1,
+      name: "create_planet",
+      up: async (db) =>
+        await db.query(
+          `CREATE TABLE MIGRATION_PLANET (id ${db.types.serialPk}, name TEXT)`
+        ),
+      down: async (db) => await db.query("DROP TABLE MIGRATION_PLANET"),
+    },
+    {
+      version: 2,
+      name: "add_planet_radius",
+      up: async (db) =>
+        await db.query("ALTER TABLE MIGRATION_PLANET ADD COLUMN radius INT"),
+      down: async (db) =>
+        await db.query("ALTER TABLE MIGRATION_PLANET DROP COLUMN radius"),
+    },
+  ];
+
+  const cleanSchema = async () => {
+    await dbService.driver.query("DROP TABLE IF EXISTS MIGRATION_PLANET");
+    await dbService.driver.query(`DROP TABLE IF EXISTS ${VERSION_TABLE}`);
+  };
+
+  beforeEach(async () => {
+    dbService = new DatabaseService();
+    await dbService.initialize();
+    await cleanSchema();
+  });
+
+  afterEach(async () => {
+    await cleanSchema();
+    await dbService.finalize();
+  });
+
+  describe("up", () => {
+    it("should apply all the pending migrations", async () => {
+      // act
+      const version = await new Migrator(
+        dbService,
+        migrations,
+        VERSION_TABLE
+      ).up();
+
+      // assert
+      expect(version).to.equal(2);
+      await dbService.driver.query(
+        "INSERT INTO MIGRATION_PLANET(name, radius) VALUES ($1, $2)",
+        ["earth", 6371]
+      );
+    });
+
+    it("should only apply migrations up to the target version", async () => {
+      // arrange
+      const migrator = new Migrator(dbService, migrations, VERSION_TABLE);
+
+      // act
+      await migrator.up(1);
+
+      // assert
+      expect(await migrator.getStatus()).to.deep.equal({
+        version: 1,
+        latestVersion: 2,
+        pending: ["2_add_planet_radius"],
+      });
+    });
+  });
+
+  describe("down", () => {
+    it("should revert the last applied migration", async () => {
+      // arrange
+      const migrator = new Migrator(dbService, migrations, VERSION_TABLE);
+      await migrator.up();
+
+      // act
+      const version = await migrator.down();
+
+      // assert
+      expect(version).to.equal(1);
+      const rows = await dbService.driver.query(
+        "SELECT name FROM MIGRATION_PLANET"
+      );
+      expect(rows).to.be.empty;
+    });
+
+    it("should revert all the migrations down to version 0", async () => {
+      // arrange
+      const migrator = new Migrator(dbService, migrations, VERSION_TABLE);
+      await migrator.up();
+
+      // act
+      const version = await migrator.down(0);
+
+      // assert
+      expect(version).to.equal(0);
+    });
+  });
+
+  describe("checkVersion", () => {
+    it("should refuse a database schema ahead of the code", async () => {
+      // arrange
+      await new Migrator(dbService, migrations, VERSION_TABLE).up();
+      const migrator = new Migrator(
+        dbService,
+        migrations.slice(0, 1),
+        VERSION_TABLE
+      );
+
+      // act
+      let error;
+      try {
+        await migrator.initialize();
+      } catch (e) {
+        error = e;
+      }
+
+      // assert
+      expect(error?.message).to.contain("ahead of the code");
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { expect } = require("chai");
+
+const { PostgresDriver } = require("../src/drivers/PostgresDriver");
+
+describe("PostgresDriver", () => {
+  describe("transaction", () => {
+    let driver;
+    // queries run and errors given back to the pool by the checked out client
+    let queries;
+    let released;
+
+    /**
+     * Replace the pool by a pool of one client, whose ROLLBACK may fail.
+     */
+    const mockPool = (rollbackError) => {
+      driver.pool = {
+        connect: async () => ({
+          query: async (query) => {
+            queries.push(query);
+            if (query === "ROLLBACK" && rollbackError) throw rollbackError;
+            return { rows: [] };
+          },
+          release: (error) => released.push(error),
+        }),
+      };
+    };
+
+    beforeEach(() => {
+      driver = new PostgresDriver();
+      queries = [];
+      released = [];
+    });
+
+    it("should return the client to the pool after a commit", async () => {
+      // arrange
+      mockPool();
+
+      // act
+      const result = await driver.transaction(async () => "done");
+
+      // assert
+      expect(result).to.equal("done");
+      expect(queries).to.deep.equal(["BEGIN", "COMMIT"]);
+      expect(released).to.deep.equal([undefined]);
+    });
+
+    it("should throw the error of the transaction when the rollback fails", async () => {
+      // arrange
+      mockPool(new Error("connection lost"));
+      const error = new Error("callback failed");
+
+      // act
+      let thrown;
+      try {
+        await driver.transaction(async () => {
+          throw error;
+        });
+      } catch (e) {
+        thrown = e;
+      }
+
+      // assert
+      expect(thrown).to.equal(error);
+      expect(queries).to.deep.equal(["BEGIN", "ROLLBACK"]);
+      expect(released).to.deep.equal([error]);
+    });
+  });
+});
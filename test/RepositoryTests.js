@@ -0,0 +1,683 @@
+const { expect } = require("chai");
+
+const { Repository } = require("../src/Repository");
+
+describe("Repository", () => {
+  let repository;
+
+  const alice = "0xa11ce";
+  const bob = "0xb0b";
+
+  const metaCard = {
+    id: 1,
+    name: "Fire Dragon",
+    description: "A dragon",
+    imageUrl: "https://cta.com/1-a.png",
+    element: "FIRE",
+    rarity: "MYTHIC",
+    family: "DRAGONS",
+    advancement: "STANDARD",
+    cardType: "UNIT",
+  };
+
+  const card = (id, user, props = {}) => ({
+    id,
+    card_meta_id: 1,
+    user,
+    foil: false,
+    rank: 1,
+    grade: "C",
+    power: 10,
+    numbering: id,
+    animationLevel: 0,
+    created_at: "2022-10-01T00:00:00Z",
+    updated_at: "2022-10-01T00:00:00Z",
+    ...props,
+  });
+
+  const updateData = (cards) => ({
+    arkomes: ["FIRE"],
+    rarities: ["MYTHIC"],
+    families: ["DRAGONS"],
+    users: [...new Set(cards.map((c) => c.user))],
+    metaCards: [metaCard],
+    cards,
+    mintPassTypes: [],
+    mintPasses: [],
+  });
+
+  const cleanTables = async () => {
+    for (const table of [
+      "SUPPLY_SNAPSHOT",
+      "CARD_OWNERSHIP_EVENT",
+      "MINT_PASS_EVENT",
+      "CARD",
+      "MINT_PASS",
+      "MINT_PASS_TYPE",
+      "CARD_META",
+      "CTA_USER",
+      "ELEMENT",
+      "RARITY",
+      "FAMILY",
+      "UPDATE_HISTORY",
+      "SYNC_STATE",
+    ]) {
+      await repository.dbService.query(`DELETE FROM ${table}`);
+    }
+  };
+
+  beforeEach(async () => {
+    repository = new Repository();
+    await repository.initialize();
+    await cleanTables();
+  });
+
+  afterEach(async () => {
+    await repository.dbService.finalize();
+  });
+
+  describe("update", () => {
+    it("should store new cards and their owners", async () => {
+      // act
+      await repository.update(
+        updateData([
+          card(1, alice),
+          card(2, alice, { foil: true }),
+          card(3, bob),
+        ])
+      );
+
+      // assert
+      const collection = await repository.getUserCollection(alice);
+      expect(collection.map((c) => c.id)).to.have.members([1, 2]);
+
+      const info = await repository.getUserInfo(alice);
+      expect(info.mythic.standard).to.deep.equal({ normal: 1, foil: 1 });
+    });
+
+    it("should store the potential, status and raw metadata of cards", async () => {
+      // arrange
+      const metadata = { name: "Fire Dragon", potential: 3, newAttribute: "x" };
+
+      // act
+      await repository.update(
+        updateData([card(1, alice, { potential: 3, status: "imx", metadata })])
+      );
+
+      // assert
+      const [stored] = await repository.getUserCollection(alice);
+      expect(stored.potential).to.equal(3);
+      expect(stored.status).to.equal("imx");
+      expect(stored.metadata).to.deep.equal(metadata);
+    });
+
+    it("should update the owner of existing cards", async () => {
+      // arrange
+      await repository.update(updateData([card(1, alice)]));
+
+      // act
+      await repository.update(updateData([card(1, bob)]));
+
+      // assert
+      const owners = await repository.getCardOwners([1]);
+      expect(owners.get(1).address).to.equal(bob);
+    });
+  });
+
+  describe("burn", () => {
+    const burned = (c) => ({ ...c, burnedAt: "2022-10-02T00:00:00Z" });
+
+    it("should remove burned cards from the user collection", async () => {
+      // arrange
+      await repository.update(updateData([card(1, alice), card(2, alice)]));
+
+      // act
+      await repository.burn({ passes: [], cards: [burned(card(1, alice))] });
+
+      // assert
+      const collection = await repository.getUserCollection(alice);
+      expect(collection.map((c) => c.id)).to.have.members([2]);
+      expect(await repository.countUserCards(alice)).to.equal(1);
+    });
+
+    it("should keep the burned cards in the minted supply", async () => {
+      // arrange
+      await repository.update(
+        updateData([card(1, alice), card(2, alice, { foil: true })])
+      );
+
+      // act
+      await repository.burn({
+        passes: [],
+        cards: [burned(card(1, alice)), burned(card(3, bob))],
+      });
+
+      // assert
+      const { stdCards, groups } = await repository.getCollectionStats([
+        "rarity",
+      ]);
+      const nonFoil = stdCards.find((c) => !c.foil);
+      expect(parseInt(nonFoil.count)).to.equal(2);
+      expect(parseInt(nonFoil.burned_count)).to.equal(2);
+      expect(groups).to.deep.equal([
+        {
+          rarity: "MYTHIC",
+          count: 3,
+          foil_count: 1,
+          burned_count: 2,
+          burned_foil_count: 0,
+        },
+      ]);
+
+      const owners = await repository.getCardOwners([1, 3]);
+      expect(owners.get(1)).to.include({
+        address: alice,
+        burned_at: "2022-10-02T00:00:00Z",
+      });
+      expect(owners.get(3).address).to.be.null;
+    });
+  });
+
+  describe("mint pass redemptions", () => {
+    it("should keep the burned mint passes as redeemed", async () => {
+      // arrange
+      const pass = (id) => ({
+        id,
+        passType: "pass_1",
+        user: alice,
+        numbering: id,
+        created_at: "2022-10-01T00:00:00Z",
+        updated_at: "2022-10-01T00:00:00Z",
+      });
+      const data = updateData([card(1, alice)]);
+      data.mintPassTypes = [{ passType: "pass_1", name: "Pass" }];
+      data.mintPasses = [pass(1001), pass(1002)];
+      await repository.update(data);
+
+      // act
+      await repository.burn({
+        passes: [
+          { ...pass(1002), burnedAt: "2022-10-02T00:00:00Z" },
+          { ...pass(1003), burnedAt: "2022-10-03T00:00:00Z" },
+        ],
+        cards: [],
+      });
+
+      // assert
+      const { mintPasses } = await repository.getCollectionStats();
+      expect(parseInt(mintPasses[0].count)).to.equal(1);
+      expect(parseInt(mintPasses[0].minted_count)).to.equal(3);
+      expect(parseInt(mintPasses[0].redeemed_count)).to.equal(2);
+
+      const owners = await repository.getMintPassOwners([1002]);
+      expect(owners.get(1002)).to.deep.equal({
+        address: alice,
+        burned_at: "2022-10-02T00:00:00Z",
+      });
+
+      const redemptions = await repository.getMintPassRedemptions(
+        "pass_1",
+        "2022-10-02T12:00:00Z"
+      );
+      expect(redemptions).to.deep.equal({
+        mintedCount: 3,
+        burns: ["2022-10-02T00:00:00Z"],
+      });
+    });
+  });
+
+  describe("transaction", () => {
+    it("should rollback the page when the update history fails", async () => {
+      // act
+      let error;
+      try {
+        await repository.transaction(async (repo) => {
+          await repo.update(updateData([card(1, alice)]));
+          await repo.recordUpdate("2022-10-01T00:00:00Z", null, 1);
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      // assert
+      expect(error).to.exist;
+      expect(await repository.getUserCollection(alice)).to.be.empty;
+    });
+  });
+
+  describe("getCollectionStats", () => {
+    it("should count cards per meta card, foil and rank", async () => {
+      // arrange
+      await repository.update(
+        updateData([
+          card(1, alice),
+          card(2, bob),
+          card(3, bob, { foil: true, rank: 2 }),
+        ])
+      );
+
+      // act
+      const { stdCards, altCards } = await repository.getCollectionStats();
+
+      // assert
+      expect(altCards).to.be.empty;
+      expect(
+        stdCards.map((c) => ({
+          foil: c.foil,
+          rank: c.rank,
+          count: parseInt(c.count),
+        }))
+      ).to.have.deep.members([
+        { foil: 0, rank: 1, count: 2 },
+        { foil: 1, rank: 2, count: 1 },
+      ]);
+    });
+
+    it("should roll up the card counts per group", async () => {
+      // arrange
+      await repository.update(
+        updateData([
+          card(1, alice),
+          card(2, bob, { foil: true }),
+          card(3, bob, { foil: true, rank: 2 }),
+        ])
+      );
+
+      // act
+      const { groups } = await repository.getCollectionStats([
+        "element",
+        "foil",
+      ]);
+
+      // assert
+      expect(groups).to.deep.equal([
+        {
+          element: "FIRE",
+          foil: 0,
+          count: 1,
+          foil_count: 0,
+          burned_count: 0,
+          burned_foil_count: 0,
+        },
+        {
+          element: "FIRE",
+          foil: 1,
+          count: 2,
+          foil_count: 2,
+          burned_count: 0,
+          burned_foil_count: 0,
+        },
+      ]);
+    });
+  });
+
+  describe("getCardCollection", () => {
+    it("should filter the collection and count the facet values", async () => {
+      // arrange
+      const data = updateData([]);
+      data.arkomes.push("WATER");
+      data.metaCards.push({
+        ...metaCard,
+        id: 2,
+        name: "Water 100% Snake",
+        description: "A snake",
+        element: "WATER",
+      });
+      await repository.update(data);
+
+      // act
+      const cards = await repository.getCardCollection({
+        element: ["water"],
+        search: "100%",
+      });
+      const facets = await repository.getCollectionFacets({
+        search: "dragon",
+      });
+
+      // assert
+      expect(cards.map((c) => c.id)).to.deep.equal([2]);
+      expect(facets.element).to.have.deep.members([
+        { value: "FIRE", count: 1 },
+        { value: "WATER", count: 0 },
+      ]);
+    });
+  });
+
+  describe("getUserCollection", () => {
+    it("should filter and paginate the cards of a user", async () => {
+      // arrange
+      await repository.update(
+        updateData([
+          card(1, alice),
+          card(2, alice, { foil: true }),
+          card(3, alice, { foil: true, rank: 2 }),
+          card(4, bob, { foil: true }),
+        ])
+      );
+      const filters = { rarity: ["mythic"], foil: true };
+
+      // act
+      const cards = await repository.getUserCollection(alice, {
+        filters,
+        expand: true,
+        pageIndex: 1,
+        pageSize: 1,
+      });
+      const total = await repository.countUserCards(alice, filters);
+      const groups = await repository.getUserCollectionGroups(alice, filters);
+
+      // assert
+      expect(total).to.equal(2);
+      expect(cards).to.have.lengthOf(1);
+      expect(cards[0]).to.include({
+        id: 3,
+        name: "Fire Dragon",
+        element: "FIRE",
+        grade: "C",
+        animation_level: 0,
+      });
+      expect(groups.map((g) => [g.rank, g.count])).to.deep.equal([
+        [1, 1],
+        [2, 1],
+      ]);
+    });
+  });
+
+  describe("getUserMetaCardCounts", () => {
+    it("should count the cards of a user for each meta card", async () => {
+      // arrange
+      const data = updateData([card(1, alice, { foil: true }), card(2, bob)]);
+      data.metaCards.push({ ...metaCard, id: 2, name: "Ice Dragon" });
+      await repository.update(data);
+
+      // act
+      const metaCards = await repository.getUserMetaCardCounts(alice);
+
+      // assert
+      expect(
+        metaCards.map(({ id, count, foil_count }) => ({
+          id,
+          count,
+          foil_count,
+        }))
+      ).to.deep.equal([
+        { id: 1, count: 1, foil_count: 1 },
+        { id: 2, count: 0, foil_count: 0 },
+      ]);
+    });
+  });
+
+  describe("getUsersCardCounts", () => {
+    it("should count the cards of each user per meta card", async () => {
+      // arrange
+      await repository.update(
+        updateData([
+          card(1, alice),
+          card(2, alice, { foil: true }),
+          card(3, bob),
+        ])
+      );
+
+      // act
+      const counts = await repository.getUsersCardCounts([alice, bob]);
+
+      // assert
+      expect(
+        counts.map(({ address, count, foil_count }) => ({
+          address,
+          count,
+          foil_count,
+        }))
+      ).to.deep.equal([
+        { address: alice, count: 2, foil_count: 1 },
+        { address: bob, count: 1, foil_count: 0 },
+      ]);
+    });
+  });
+
+  describe("getUsers", () => {
+    it("should filter, sort and count users", async () => {
+      // arrange
+      await repository.update(
+        updateData([
+          card(1, alice),
+          card(2, bob, { foil: true }),
+          card(3, bob),
+          card(4, bob),
+        ])
+      );
+
+      // act
+      const { users, total } = await repository.getUsers({
+        pageIndex: 0,
+        pageSize: 1,
+        sort: "foils",
+        minCards: 1,
+        ownsCard: 1,
+      });
+
+      // assert
+      expect(total).to.equal(2);
+      expect(users).to.have.lengthOf(1);
+      expect(users[0].address).to.equal(bob);
+      expect(parseInt(users[0].foil_count)).to.equal(1);
+    });
+  });
+
+  describe("supply snapshots", () => {
+    it("should list the supply of a rarity at each snapshot", async () => {
+      // arrange
+      await repository.update(updateData([card(1, alice)]));
+      await repository.recordSupplySnapshot("2022-10-01T00:00:00.000Z");
+      await repository.update(
+        updateData([card(2, bob), card(3, bob, { foil: true })])
+      );
+      await repository.recordSupplySnapshot("2022-10-02T00:00:00.000Z");
+
+      // act
+      const history = await repository.getSupplyHistory({
+        rarity: "mythic",
+        from: "2022-10-01T00:00:00.000Z",
+        to: "2022-10-31T00:00:00.000Z",
+      });
+
+      // assert
+      expect(await repository.readLastSupplySnapshotTimestamp()).to.equal(
+        "2022-10-02T00:00:00.000Z"
+      );
+      expect(history).to.deep.equal([
+        { snapshot_timestamp: "2022-10-01T00:00:00.000Z", foil: 0, count: 1 },
+        { snapshot_timestamp: "2022-10-02T00:00:00.000Z", foil: 0, count: 2 },
+        { snapshot_timestamp: "2022-10-02T00:00:00.000Z", foil: 1, count: 1 },
+      ]);
+    });
+
+    it("should count the burned cards and mint passes in the snapshots", async () => {
+      // arrange
+      const pass = (id) => ({
+        id,
+        passType: "pass_1",
+        user: alice,
+        numbering: id,
+        created_at: "2022-10-01T00:00:00Z",
+        updated_at: "2022-10-01T00:00:00Z",
+      });
+      const data = updateData([card(1, alice)]);
+      data.mintPassTypes = [{ passType: "pass_1", name: "Pass" }];
+      data.mintPasses = [pass(1001), pass(1002)];
+      await repository.update(data);
+      await repository.burn({
+        passes: [{ ...pass(1002), burnedAt: "2022-10-02T00:00:00Z" }],
+        cards: [{ ...card(1, alice), burnedAt: "2022-10-02T00:00:00Z" }],
+      });
+
+      // act
+      await repository.recordSupplySnapshot("2022-10-03T00:00:00.000Z");
+
+      // assert
+      const rows = await repository.dbService.query(
+        `
+            SELECT card_meta_id, mint_pass_type_id, count
+              FROM SUPPLY_SNAPSHOT
+            `
+      );
+      expect(
+        rows.map((r) => [
+          r.card_meta_id,
+          r.mint_pass_type_id !== null,
+          parseInt(r.count),
+        ])
+      ).to.have.deep.members([
+        [1, false, 1],
+        [null, true, 2],
+      ]);
+    });
+  });
+
+  describe("serial numbers", () => {
+    beforeEach(async () => {
+      await repository.update(
+        updateData([
+          card(1, alice, { numbering: 2 }),
+          card(2, bob, { numbering: 5 }),
+          card(3, bob, { numbering: 5 }),
+          card(4, alice, { numbering: 1, foil: true }),
+        ])
+      );
+    });
+
+    it("should find the holders of a serial number", async () => {
+      expect(await repository.getCardsBySerial(1, 2)).to.have.deep.members([
+        { id: 1, foil: 0, numbering: 2, rank: 1, grade: "C", address: alice },
+      ]);
+      expect(await repository.getCardsBySerial(1, 1, false)).to.be.empty;
+    });
+
+    it("should list the lowest numbered cards", async () => {
+      const cards = await repository.getLowestSerials(1, false, 2);
+
+      expect(cards.map((c) => c.numbering)).to.deep.equal([2, 5]);
+    });
+
+    it("should detect the gaps of the numbering", async () => {
+      const { gaps, total, missingCount } = await repository.getSerialGaps(
+        1,
+        false,
+        0,
+        10
+      );
+
+      expect(gaps).to.deep.equal([
+        { gap_start: 1, gap_end: 1 },
+        { gap_start: 3, gap_end: 4 },
+      ]);
+      expect(total).to.equal(2);
+      expect(missingCount).to.equal(3);
+    });
+
+    it("should detect the duplicate numbers", async () => {
+      const { cards, mintPasses } = await repository.getDuplicateSerials();
+
+      expect(cards.map((c) => c.id)).to.deep.equal([2, 3]);
+      expect(mintPasses).to.be.empty;
+    });
+  });
+
+  describe("sync state", () => {
+    it("should read the saved sync state", async () => {
+      // act
+      await repository.saveSyncState({
+        cursor: "cursor",
+        cursorUpdatedMinTimestamp: "2022-09-30T00:00:00Z",
+        lastAssetTimestamp: "2022-10-01T00:00:00Z",
+        lastTokenId: 42,
+      });
+
+      // assert
+      expect(await repository.readSyncState()).to.deep.equal({
+        cursor: "cursor",
+        cursorUpdatedMinTimestamp: "2022-09-30T00:00:00Z",
+        lastAssetTimestamp: "2022-10-01T00:00:00Z",
+        lastTokenId: 42,
+      });
+    });
+  });
+
+  describe("ownership events", () => {
+    it("should list the ownership history of a card", async () => {
+      // arrange
+      await repository.update(updateData([card(1, alice), card(2, bob)]));
+      await repository.recordOwnershipEvents([
+        {
+          cardId: 1,
+          cardMetaId: 1,
+          type: "MINT",
+          timestamp: "2022-10-01T00:00:00Z",
+          to: alice,
+        },
+        {
+          cardId: 1,
+          cardMetaId: 1,
+          type: "TRANSFER",
+          timestamp: "2022-10-02T00:00:00Z",
+          from: alice,
+          to: bob,
+        },
+      ]);
+
+      // act
+      const history = await repository.getCardOwnershipHistory(1);
+      const transfers = await repository.getUserTransfers(
+        bob,
+        "2022-10-02T00:00:00Z"
+      );
+
+      // assert
+      expect(history.map((e) => e.event_type)).to.deep.equal([
+        "MINT",
+        "TRANSFER",
+      ]);
+      expect(history[1]).to.include({ from_address: alice, to_address: bob });
+      expect(transfers).to.have.lengthOf(1);
+      expect(transfers[0]).to.include({
+        card_name: "Fire Dragon",
+        rarity: "MYTHIC",
+      });
+    });
+
+    it("should find the burn events of cards", async () => {
+      // arrange
+      await repository.update(updateData([card(1, alice)]));
+      await repository.burn({
+        passes: [],
+        cards: [{ ...card(1, alice), burnedAt: "2022-10-03T00:00:00Z" }],
+      });
+      await repository.recordOwnershipEvents([
+        {
+          cardId: 1,
+          cardMetaId: 1,
+          type: "BURN",
+          timestamp: "2022-10-03T00:00:00Z",
+          from: alice,
+        },
+      ]);
+
+      // act
+      const cards = await repository.getCardTokens([1]);
+      const burns = await repository.getCardBurnEvents([1, 2]);
+
+      // assert
+      expect(cards).to.have.lengthOf(1);
+      expect(cards[0]).to.include({
+        burned_at: "2022-10-03T00:00:00Z",
+        address: alice,
+      });
+      expect(burns).to.have.lengthOf(1);
+      expect(burns[0]).to.include({
+        card_id: 1,
+        name: "Fire Dragon",
+        from_address: alice,
+      });
+    });
+  });
+});
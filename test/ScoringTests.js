@@ -0,0 +1,62 @@
+const { expect } = require("chai");
+
+const {
+  DEFAULT_SCORING_WEIGHTS,
+  getCardScore,
+  loadScoringWeights,
+} = require("../src/scoring");
+
+describe("scoring", () => {
+  const card = (props = {}) => ({
+    card_name: "Fire Dragon",
+    rarity: "COMMON",
+    advancement: "STANDARD",
+    foil: 0,
+    rank: 1,
+    grade: null,
+    ...props,
+  });
+
+  describe("getCardScore", () => {
+    it("should score the most common cards 1", () => {
+      expect(getCardScore(card())).to.equal(1);
+    });
+
+    it("should score scarce cards higher", () => {
+      // 800000 commons vs 4000 foil mythics
+      expect(getCardScore(card({ rarity: "MYTHIC", foil: 1 }))).to.equal(200);
+      expect(getCardScore(card({ rank: 5 }))).to.equal(2);
+    });
+
+    it("should weight alternative cards by grade", () => {
+      const score = getCardScore(
+        card({ advancement: "ALTERNATIVE", rank: null, grade: "S" })
+      );
+
+      // 800000 standard vs 300000 alternative commons, with a 'S' grade
+      expect(score).to.be.closeTo((800000 / 300000) * 2, 0.0001);
+    });
+
+    it("should use the default scarcity for unknown supplies", () => {
+      expect(getCardScore(card({ rarity: "EXCLUSIVE" }))).to.equal(1);
+    });
+  });
+
+  describe("loadScoringWeights", () => {
+    it("should override the default weights", () => {
+      const weights = loadScoringWeights(
+        '{"foil": 2, "rarity": {"MYTHIC": 3}}'
+      );
+
+      expect(weights.foil).to.equal(2);
+      expect(weights.rarity).to.include({ MYTHIC: 3, COMMON: 1 });
+      expect(weights.grade).to.deep.equal(DEFAULT_SCORING_WEIGHTS.grade);
+    });
+
+    it("should reject invalid JSON", () => {
+      expect(() => loadScoringWeights("{foil")).to.throw(
+        "invalid SCORING_WEIGHTS"
+      );
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  DEFAULT_SUPPLY_TABLE,
+  getSupply,
+  getSupplyRule,
+  loadSupplyTable,
+  validateSupplyTable,
+  watchSupplyTable,
+} = require("../src/supply");
+
+describe("supply", () => {
+  const card = (props = {}) => ({
+    id: 1,
+    card_name: "Fire Dragon",
+    family: "DRAGONS",
+    rarity: "MYTHIC",
+    advancement: "STANDARD",
+    ...props,
+  });
+
+  const table = {
+    version: 2,
+    defaults: { MYTHIC: { STANDARD: { non_foil: 20000, foil: 4000 } } },
+    seasons: [
+      {
+        name: "season_2",
+        sets: ["DRAGONS"],
+        supplies: { MYTHIC: { STANDARD: { non_foil: 5000, foil: 500 } } },
+      },
+    ],
+    cards: { 42: { non_foil: 100, foil: 10 } },
+  };
+
+  describe("getSupply", () => {
+    it("should use the default supply table", () => {
+      expect(getSupply(card())).to.deep.equal({ non_foil: 20000, foil: 4000 });
+      expect(getSupply(card({ card_name: "Hannibal & Honora" }))).to.deep.equal(
+        { non_foil: 10000, foil: 1000 }
+      );
+      expect(getSupply(card({ rarity: "EXCLUSIVE" }))).to.be.null;
+    });
+  });
+
+  describe("getSupplyRule", () => {
+    it("should apply the card overrides, then the seasons, then the defaults", () => {
+      expect(getSupplyRule(card({ id: 42 }), table)).to.deep.equal({
+        supply: { non_foil: 100, foil: 10 },
+        rule: "card",
+      });
+      expect(getSupplyRule(card(), table)).to.deep.equal({
+        supply: { non_foil: 5000, foil: 500 },
+        rule: "season",
+        season: "season_2",
+      });
+      expect(getSupplyRule(card({ family: "TITANS" }), table)).to.deep.equal({
+        supply: { non_foil: 20000, foil: 4000 },
+        rule: "default",
+      });
+      expect(getSupplyRule(card({ rarity: "RARE" }), table).rule).to.be.null;
+    });
+  });
+
+  describe("validateSupplyTable", () => {
+    it("should accept the default supply table", () => {
+      expect(validateSupplyTable(DEFAULT_SUPPLY_TABLE)).to.equal(
+        DEFAULT_SUPPLY_TABLE
+      );
+    });
+
+    it("should reject invalid supplies and seasons", () => {
+      const invalid = (props) => () =>
+        validateSupplyTable({ ...table, ...props });
+
+      expect(invalid({ version: "1" })).to.throw("'version'");
+      expect(
+        invalid({ defaults: { MYTHIC: { STANDARD: { non_foil: 1 } } } })
+      ).to.throw("'defaults.MYTHIC.STANDARD.foil'");
+      expect(invalid({ cards: { 1: { non_foil: -1, foil: 1 } } })).to.throw(
+        "'cards.1.non_foil'"
+      );
+      expect(
+        invalid({ seasons: [...table.seasons, { ...table.seasons[0] }] })
+      ).to.throw("several seasons");
+    });
+  });
+
+  describe("loadSupplyTable", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "supply-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should reject an invalid file", () => {
+      const filename = path.join(dir, "supply.json");
+      fs.writeFileSync(filename, "{ version");
+
+      expect(() => loadSupplyTable(filename)).to.throw("invalid supply table");
+    });
+
+    it("should reload the table when its file changes", async () => {
+      // arrange
+      const filename = path.join(dir, "supply.json");
+      fs.writeFileSync(filename, JSON.stringify(table));
+
+      // act
+      let watcher;
+      const reloaded = await new Promise((resolve) => {
+        // the file may be read while partially written, wait for the valid table
+        watcher = watchSupplyTable(resolve, () => {}, filename);
+        fs.writeFileSync(filename, JSON.stringify({ ...table, version: 3 }));
+      });
+      watcher.close();
+
+      // assert
+      expect(reloaded.version).to.equal(3);
+    });
+  });
+});
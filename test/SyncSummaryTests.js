@@ -0,0 +1,72 @@
+const { expect } = require("chai");
+
+const { getSyncSummary, filterSyncSummary } = require("../src/syncSummary");
+
+describe("syncSummary", () => {
+  const alice = "0xa11ce";
+  const bob = "0xb0b";
+  const carol = "0xca401";
+
+  const summary = getSyncSummary({
+    timestamp: "2022-10-01T00:10:00Z",
+    lastAssetTimestamp: "2022-10-01T00:05:00Z",
+    assetsCount: 5,
+    ownershipEvents: [
+      { cardId: 1, cardMetaId: 2, type: "MINT", to: alice },
+      { cardId: 2, cardMetaId: 2, type: "MINT", to: bob },
+      { cardId: 3, cardMetaId: 1, type: "MINT", to: alice },
+      { cardId: 4, cardMetaId: 1, type: "BURN", from: carol },
+    ],
+    mintPassEvents: [{ tokenId: 1, type: "BURN", from: carol }],
+    newUsers: [bob],
+  });
+
+  describe("getSyncSummary", () => {
+    it("should count the new and burned cards per meta card", () => {
+      expect(summary).to.deep.equal({
+        timestamp: "2022-10-01T00:10:00Z",
+        last_asset_timestamp: "2022-10-01T00:05:00Z",
+        assets_count: 5,
+        new_cards: [
+          { card_meta_id: 1, count: 1 },
+          { card_meta_id: 2, count: 2 },
+        ],
+        burned_cards: [{ card_meta_id: 1, count: 1 }],
+        burned_mint_pass_count: 1,
+        new_users: [bob],
+        updated_users: [alice, bob, carol],
+      });
+    });
+  });
+
+  describe("filterSyncSummary", () => {
+    it("should keep the whole summary without topics", () => {
+      expect(filterSyncSummary(summary)).to.equal(summary);
+      expect(
+        filterSyncSummary(summary, { cardIds: [], addresses: [] })
+      ).to.equal(summary);
+    });
+
+    it("should restrict the summary to the meta cards and addresses", () => {
+      expect(filterSyncSummary(summary, { cardIds: [2] })).to.deep.include({
+        new_cards: [{ card_meta_id: 2, count: 2 }],
+        burned_cards: [],
+        updated_users: [alice, bob, carol],
+      });
+      expect(filterSyncSummary(summary, { addresses: [bob] })).to.deep.include({
+        new_cards: summary.new_cards,
+        new_users: [bob],
+        updated_users: [bob],
+      });
+    });
+
+    it("should skip the summaries matching none of the topics", () => {
+      expect(filterSyncSummary(summary, { cardIds: [3] })).to.be.undefined;
+      expect(filterSyncSummary(summary, { addresses: ["0xdave"] })).to.be
+        .undefined;
+      expect(
+        filterSyncSummary(summary, { cardIds: [3], addresses: [carol] })
+      ).to.deep.include({ new_cards: [], updated_users: [carol] });
+    });
+  });
+});
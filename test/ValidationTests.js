@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+
+const {
+  ConnectionError,
+  NotFoundError,
+  QuerySyntaxError,
+  ValidationError,
+} = require("../src/errors");
+const { toErrorResponse } = require("../src/middlewares");
+const {
+  parseAddress,
+  parseBoolean,
+  parseCardId,
+  parseList,
+  parsePagination,
+  parseTimestamp,
+  parseUrl,
+} = require("../src/validation");
+
+describe("validation", () => {
+  const address = "0x" + "aB".repeat(20);
+
+  describe("parseCardId", () => {
+    it("should parse a numeric id", () => {
+      expect(parseCardId("42")).to.equal(42);
+    });
+
+    it("should reject missing, non numeric and negative ids", () => {
+      expect(() => parseCardId(undefined)).to.throw(ValidationError);
+      expect(() => parseCardId("abc")).to.throw(ValidationError);
+      expect(() => parseCardId("1.5")).to.throw(ValidationError);
+      expect(() => parseCardId("-1")).to.throw(ValidationError);
+    });
+  });
+
+  describe("parseAddress", () => {
+    it("should parse a well-formed address in lower case", () => {
+      expect(parseAddress(address)).to.equal(address.toLowerCase());
+    });
+
+    it("should reject malformed addresses", () => {
+      expect(() => parseAddress("")).to.throw(ValidationError);
+      expect(() => parseAddress("0x1234")).to.throw(ValidationError);
+      expect(() => parseAddress(address.replace("0x", "1x"))).to.throw(
+        ValidationError
+      );
+    });
+  });
+
+  describe("parseBoolean", () => {
+    it("should parse booleans with a default value", () => {
+      expect(parseBoolean("true", "b")).to.be.true;
+      expect(parseBoolean("0", "b")).to.be.false;
+      expect(parseBoolean(undefined, "b", true)).to.be.true;
+      expect(() => parseBoolean("yes", "b")).to.throw(ValidationError);
+    });
+  });
+
+  describe("parseList", () => {
+    it("should split comma-separated values", () => {
+      expect(parseList("fire, water,")).to.deep.equal(["fire", "water"]);
+      expect(parseList(["fire", "earth"])).to.deep.equal(["fire", "earth"]);
+      expect(parseList(undefined)).to.be.undefined;
+      expect(parseList(",")).to.be.undefined;
+    });
+  });
+
+  describe("parseTimestamp", () => {
+    it("should parse ISO dates as ISO timestamps", () => {
+      expect(parseTimestamp("2022-10-01", "from")).to.equal(
+        "2022-10-01T00:00:00.000Z"
+      );
+      expect(parseTimestamp(undefined, "from")).to.be.undefined;
+      expect(() => parseTimestamp("yesterday", "from")).to.throw(
+        ValidationError
+      );
+    });
+  });
+
+  describe("parseUrl", () => {
+    it("should only accept HTTP(S) URLs", () => {
+      expect(parseUrl("http://localhost:8080/hook")).to.equal(
+        "http://localhost:8080/hook"
+      );
+      expect(() => parseUrl("ftp://localhost/hook")).to.throw(ValidationError);
+      expect(() => parseUrl("localhost")).to.throw(ValidationError);
+      expect(() => parseUrl(undefined)).to.throw(ValidationError);
+    });
+  });
+
+  describe("parsePagination", () => {
+    it("should use the default page", () => {
+      expect(parsePagination({})).to.deep.equal({ pageIndex: 0, pageSize: 50 });
+    });
+
+    it("should reject out of bounds page sizes", () => {
+      expect(() => parsePagination({ pageSize: "0" })).to.throw(
+        ValidationError
+      );
+      expect(() => parsePagination({ pageSize: "501" })).to.throw(
+        ValidationError
+      );
+      expect(() => parsePagination({ page: "-1" })).to.throw(ValidationError);
+    });
+  });
+
+  describe("toErrorResponse", () => {
+    it("should convert validation errors to 400 responses", () => {
+      const { status, body } = toErrorResponse(
+        new ValidationError("id", "'id' is required")
+      );
+
+      expect(status).to.equal(400);
+      expect(body).to.deep.equal({
+        error: {
+          status: 400,
+          code: "INVALID_PARAMETER",
+          message: "'id' is required",
+          details: { parameter: "id" },
+        },
+      });
+    });
+
+    it("should convert not found errors to 404 responses", () => {
+      expect(toErrorResponse(new NotFoundError()).status).to.equal(404);
+    });
+
+    it("should not leak the query of database errors", () => {
+      const { status, body } = toErrorResponse(
+        new QuerySyntaxError("syntax error", { query: "SELECT *" })
+      );
+
+      expect(status).to.equal(500);
+      expect(JSON.stringify(body)).not.to.contain("SELECT");
+      expect(toErrorResponse(new ConnectionError("down")).status).to.equal(503);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const http = require("http");
+
+const { Repository } = require("../src/Repository");
+const {
+  WebhookManager,
+  matchesFilters,
+  signPayload,
+} = require("../src/WebhookManager");
+
+describe("WebhookManager", () => {
+  let repository;
+  let webhookManager;
+  let server;
+  let url;
+  // requests received by the local webhook server, and its response statuses
+  let requests;
+  let statuses;
+
+  const alice = "0xa11ce";
+
+  const event = (props = {}) => ({
+    type: "mint",
+    timestamp: "2022-10-01T00:00:00Z",
+    token_type: "CARD",
+    token_id: 1,
+    card_meta_id: 1,
+    foil: true,
+    to: alice,
+    ...props,
+  });
+
+  beforeEach(async () => {
+    repository = new Repository();
+    await repository.initialize();
+    await repository.dbService.query("DELETE FROM WEBHOOK_DELIVERY");
+    await repository.dbService.query("DELETE FROM WEBHOOK");
+    webhookManager = new WebhookManager(repository, {
+      maxAttempts: 3,
+      retryDelayInMs: 10,
+      timeoutInMs: 1000,
+    });
+
+    requests = [];
+    statuses = [];
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await repository.dbService.finalize();
+  });
+
+  describe("matchesFilters", () => {
+    it("should filter the events by type, meta card and address", () => {
+      expect(matchesFilters(event(), {})).to.be.true;
+      expect(matchesFilters(event(), { events: ["burn"] })).to.be.false;
+      expect(matchesFilters(event(), { cardIds: [1, 2] })).to.be.true;
+      expect(matchesFilters(event(), { addresses: ["0xb0b"] })).to.be.false;
+      expect(matchesFilters(event({ from: "0xb0b" }), { addresses: ["0xb0b"] }))
+        .to.be.true;
+    });
+  });
+
+  describe("dispatch", () => {
+    it("should deliver signed events to the matching webhooks", async () => {
+      // arrange
+      const webhook = await webhookManager.register({
+        url,
+        filters: { events: ["mint"] },
+      });
+      await webhookManager.register({ url, filters: { events: ["burn"] } });
+
+      // act
+      await webhookManager.dispatch(event());
+
+      // assert
+      expect(requests).to.have.lengthOf(1);
+      const [{ headers, body }] = requests;
+      expect(headers["x-cta-event"]).to.equal("mint");
+      expect(headers["x-cta-signature"]).to.equal(
+        signPayload(webhook.secret, body)
+      );
+      expect(JSON.parse(body)).to.include({ type: "mint", token_id: 1 });
+
+      const { deliveries } = await webhookManager.getDeliveries(webhook.id);
+      expect(deliveries).to.have.lengthOf(1);
+      expect(deliveries[0]).to.include({
+        status: "delivered",
+        attempts: 1,
+        response_status: 200,
+      });
+      expect(deliveries[0].payload).to.deep.equal(event());
+    });
+
+    it("should deliver the events with the options read as strings", async () => {
+      // arrange
+      webhookManager = new WebhookManager(repository, {
+        maxAttempts: "3",
+        retryDelayInMs: "10",
+        timeoutInMs: "10000",
+      });
+      const webhook = await webhookManager.register({ url });
+
+      // act
+      await webhookManager.dispatch(event());
+
+      // assert
+      expect(requests).to.have.lengthOf(1);
+      const { deliveries } = await webhookManager.getDeliveries(webhook.id);
+      expect(deliveries[0]).to.include({ status: "delivered", attempts: 1 });
+    });
+
+    it("should load the webhooks once per batch of events", async () => {
+      // arrange
+      await webhookManager.register({ url, filters: { cardIds: [2] } });
+      let loads = 0;
+      const getWebhooks = repository.getWebhooks.bind(repository);
+      repository.getWebhooks = async () => {
+        loads++;
+        return await getWebhooks();
+      };
+
+      // act
+      const deliveryIds = await webhookManager.dispatchAll([
+        event(),
+        event({ token_id: 2, card_meta_id: 2 }),
+        event({ token_id: 3, card_meta_id: 2 }),
+      ]);
+
+      // assert
+      expect(loads).to.equal(1);
+      expect(deliveryIds).to.have.lengthOf(2);
+      expect(requests.map((r) => JSON.parse(r.body).token_id)).to.have.members([
+        2, 3,
+      ]);
+    });
+
+    it("should retry the failed deliveries and log them", async () => {
+      // arrange
+      const webhook = await webhookManager.register({ url });
+      const failing = await webhookManager.register({
+        url: "http://127.0.0.1:1/hook",
+      });
+      statuses = [500];
+
+      // act
+      await webhookManager.dispatch(event());
+
+      // assert
+      const delivered = await webhookManager.getDeliveries(webhook.id);
+      expect(delivered.deliveries[0]).to.include({
+        status: "delivered",
+        attempts: 2,
+      });
+
+      const failed = await webhookManager.getDeliveries(failing.id);
+      expect(failed.deliveries[0]).to.include({
+        status: "failed",
+        attempts: 3,
+      });
+      expect(failed.deliveries[0].error).to.be.a("string");
+    });
+  });
+
+  describe("remove", () => {
+    it("should unregister a webhook and its delivery log", async () => {
+      // arrange
+      const webhook = await webhookManager.register({ url });
+      await webhookManager.dispatch(event());
+
+      // act
+      const removed = await webhookManager.remove(webhook.id);
+
+      // assert
+      expect(removed).to.be.true;
+      expect(await webhookManager.list()).to.be.empty;
+      expect(await webhookManager.getDeliveries(webhook.id)).to.be.undefined;
+      expect(await webhookManager.remove(webhook.id)).to.be.false;
+    });
+  });
+});